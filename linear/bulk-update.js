@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+/**
+ * Update every Linear issue matching issues.js filters
+ *
+ * Filters (same as issues.js): --team, --status, --assignee, --project, --cycle, --blocked, --search
+ * and query syntax such as 'label:bug -is:closed' (see issue-filter.js)
+ * Changes: --set-status, --set-assignee, --set-priority, --set-project, --add-label, --remove-label
+ *
+ * Usage:
+ *   ./bulk-update.js --team MA --status todo --assignee alice@co.com --set-assignee bob@co.com
+ *   ./bulk-update.js --project PROJECT_ID --set-status canceled --dry-run
+ *   ./bulk-update.js --team ENG --search "flaky" --add-label flaky-test --set-priority low --yes
+ *   ./bulk-update.js --team ENG --status backlog --set-status todo --concurrency 5
+ *   ./bulk-update.js 'label:flaky updated<30d -is:closed' --set-status canceled
+ */
+
+import { createInterface } from 'readline';
+import {
+  makeRequest, paginate, getLimit, buildIssuesQuery, getIssueQueryText, parseArgs, getUserId,
+  getWorkflowStateId, describeInvalidStatus, findProjectByName, getLabels, resolveLabels, formatOutput
+} from './linear-api.js';
+
+const priorities = {
+  'urgent': 1,
+  'high': 2,
+  'medium': 3,
+  'low': 4,
+  'none': 0
+};
+
+const issueFields = `
+  id
+  identifier
+  title
+  team {
+    id
+    key
+  }
+  state {
+    name
+  }
+  assignee {
+    email
+  }
+  project {
+    name
+  }
+  labels {
+    nodes {
+      id
+      name
+      parent {
+        id
+      }
+    }
+  }
+`;
+
+async function promptInput(question, output = process.stdout) {
+  const rl = createInterface({
+    input: process.stdin,
+    output
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function updateIssue(issueId, input) {
+  const mutation = `
+    mutation UpdateIssue($id: String!, $input: IssueUpdateInput!) {
+      issueUpdate(id: $id, input: $input) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id: issueId, input });
+
+  if (!data.issueUpdate.success) {
+    throw new Error('Failed to update issue');
+  }
+}
+
+/**
+ * Run async tasks with at most `concurrency` in flight
+ */
+async function runWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+function toArray(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Resolve the requested changes once, with per-team lookups cached
+ */
+async function prepareChanges(args, issues) {
+  const changes = {};
+  const descriptions = [];
+
+  if (args['set-assignee']) {
+    if (args['set-assignee'].toLowerCase() === 'none') {
+      changes.assigneeId = null;
+    } else {
+      changes.assigneeId = await getUserId(args['set-assignee']);
+      if (!changes.assigneeId) {
+        throw new Error(`User with email '${args['set-assignee']}' not found`);
+      }
+    }
+    descriptions.push(`assignee → ${args['set-assignee']}`);
+  }
+
+  if (args['set-priority']) {
+    changes.priority = priorities[args['set-priority'].toLowerCase()];
+    if (changes.priority === undefined) {
+      throw new Error(`Invalid priority '${args['set-priority']}'. Valid priorities: urgent, high, medium, low, none`);
+    }
+    descriptions.push(`priority → ${args['set-priority']}`);
+  }
+
+  if (args['set-project']) {
+    if (args['set-project'].toLowerCase() === 'none') {
+      changes.projectId = null;
+    } else {
+      const project = await findProjectByName(args['set-project']);
+      if (!project) {
+        throw new Error(`Project '${args['set-project']}' not found`);
+      }
+      changes.projectId = project.id;
+    }
+    descriptions.push(`project → ${args['set-project']}`);
+  }
+
+  // Workflow states and labels are per team
+  const teamIds = [...new Set(issues.map(i => i.team.id))];
+  const stateIds = {};
+  const addLabels = {};
+  const removeLabelIds = {};
+
+  if (args['set-status']) {
+    for (const teamId of teamIds) {
+      stateIds[teamId] = await getWorkflowStateId(teamId, args['set-status']);
+      if (!stateIds[teamId]) {
+        const teamKey = issues.find(i => i.team.id === teamId).team.key;
+        throw new Error(await describeInvalidStatus(teamId, teamKey, args['set-status']));
+      }
+    }
+    descriptions.push(`status → ${args['set-status']}`);
+  }
+
+  const addLabelNames = toArray(args['add-label']);
+  if (addLabelNames.length > 0) {
+    for (const teamId of teamIds) {
+      addLabels[teamId] = await resolveLabels(teamId, addLabelNames);
+    }
+    descriptions.push(`add labels → ${addLabelNames.join(', ')}`);
+  }
+
+  // Resolved like --add-label, so "Group/Label" works; one at a time since several
+  // labels of the same group may be removed together
+  const removeLabelNames = toArray(args['remove-label']);
+  if (removeLabelNames.length > 0) {
+    for (const teamId of teamIds) {
+      const labels = await getLabels(teamId);
+      removeLabelIds[teamId] = [];
+      for (const name of removeLabelNames) {
+        const [label] = await resolveLabels(teamId, [name], labels);
+        removeLabelIds[teamId].push(label.id);
+      }
+    }
+    descriptions.push(`remove labels → ${removeLabelNames.join(', ')}`);
+  }
+
+  // Build the per-issue update input
+  const inputFor = (issue) => {
+    const input = { ...changes };
+
+    if (args['set-status']) {
+      input.stateId = stateIds[issue.team.id];
+    }
+
+    if (addLabelNames.length > 0 || removeLabelNames.length > 0) {
+      const current = issue.labels.nodes;
+      let labelIds = current
+        .filter(l => !(removeLabelIds[issue.team.id] || []).includes(l.id))
+        .map(l => l.id);
+
+      for (const label of addLabels[issue.team.id] || []) {
+        // Adding a grouped label replaces any other label from the same group
+        if (label.parent) {
+          labelIds = labelIds.filter(id => current.find(l => l.id === id)?.parent?.id !== label.parent.id);
+        }
+        if (!labelIds.includes(label.id)) {
+          labelIds.push(label.id);
+        }
+      }
+      input.labelIds = labelIds;
+    }
+
+    return input;
+  };
+
+  return { descriptions, inputFor };
+}
+
+function printUsage() {
+  console.error('Usage: ./bulk-update.js [filters] [changes] [--dry-run] [--yes]');
+  console.error('');
+  console.error('Filters (same as issues.js):');
+  console.error('  --team <key>  --status <status>  --assignee <email>  --project <id>');
+  console.error('  --cycle <cycle>  --blocked  --search <text>  --limit <n>');
+  console.error('  or a query: \'label:bug status:todo,backlog updated<30d\'');
+  console.error('');
+  console.error('Changes:');
+  console.error('  --set-status <status>     Move to workflow state');
+  console.error('  --set-assignee <email>    Reassign (or none)');
+  console.error('  --set-priority <priority> urgent/high/medium/low/none');
+  console.error('  --set-project <name>      Move to project (or none)');
+  console.error('  --add-label <name>        Add label (can be used multiple times)');
+  console.error('  --remove-label <name>     Remove label (can be used multiple times)');
+  console.error('');
+  console.error('Options:');
+  console.error('  --dry-run                 Show matching issues and changes without applying');
+  console.error('  --yes                     Skip the confirmation prompt');
+  console.error('  --concurrency <n>         Parallel updates (default: 3)');
+  console.error('');
+  console.error('Example: ./bulk-update.js --team MA --status todo --assignee alice@co.com --set-assignee bob@co.com');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const changeFlags = ['set-status', 'set-assignee', 'set-priority', 'set-project', 'add-label', 'remove-label'];
+  const filterFlags = ['team', 'status', 'assignee', 'project', 'cycle', 'blocked', 'search'];
+
+  if (!changeFlags.some(f => args[f])) {
+    printUsage();
+    process.exit(1);
+  }
+
+  // Refuse to touch the whole workspace by accident
+  if (!filterFlags.some(f => args[f]) && !getIssueQueryText(args).trim()) {
+    console.error('At least one filter is required (--team, --status, --assignee, --project, --cycle, --blocked, --search or a query)');
+    process.exit(1);
+  }
+
+  // With --json, stdout carries only the JSON and progress goes to stderr
+  const log = args.json ? console.error : console.log;
+
+  try {
+    const { query, variables } = buildIssuesQuery(args, issueFields);
+    const issues = await paginate(query, variables, data => data.issues, { limit: getLimit(args, Infinity), pageSize: 100 });
+
+    if (issues.length === 0) {
+      log('No issues match the given filters');
+      if (args.json) {
+        formatOutput([], 'json');
+      }
+      return;
+    }
+
+    const { descriptions, inputFor } = await prepareChanges(args, issues);
+
+    log(`Found ${issues.length} matching issues:\n`);
+    issues.forEach(issue => {
+      log(`  ${issue.identifier} - ${issue.title} (${issue.state.name}${issue.assignee ? `, ${issue.assignee.email}` : ''})`);
+    });
+    log('\nChanges:');
+    descriptions.forEach(d => log(`  • ${d}`));
+
+    if (args['dry-run']) {
+      log(`\n🔍 Dry run - ${issues.length} issues would be updated`);
+      if (args.json) {
+        formatOutput(issues.map(issue => ({ identifier: issue.identifier, input: inputFor(issue) })), 'json');
+      }
+      return;
+    }
+
+    if (!args.yes) {
+      if (!process.stdin.isTTY) {
+        console.error('\nRefusing to update without confirmation. Re-run with --yes (or --dry-run to preview).');
+        process.exit(1);
+      }
+      const answer = await promptInput(`\nApply these changes to ${issues.length} issues? [y/N] `, args.json ? process.stderr : process.stdout);
+      if (!['y', 'yes'].includes(answer.toLowerCase())) {
+        log('Aborted');
+        return;
+      }
+    }
+
+    const concurrency = Math.max(1, parseInt(args.concurrency) || 3);
+    log(`\nUpdating ${issues.length} issues (concurrency ${concurrency})...`);
+
+    const results = await runWithConcurrency(issues, concurrency, async (issue) => {
+      try {
+        await updateIssue(issue.id, inputFor(issue));
+        log(`✅ ${issue.identifier}`);
+        return { identifier: issue.identifier, success: true };
+      } catch (error) {
+        console.error(`❌ ${issue.identifier}: ${error.message}`);
+        return { identifier: issue.identifier, success: false, error: error.message };
+      }
+    });
+
+    const failed = results.filter(r => !r.success);
+
+    if (args.json) {
+      formatOutput(results, 'json');
+    } else {
+      console.log(`\n✅ Updated ${results.length - failed.length} of ${results.length} issues`);
+      if (failed.length > 0) {
+        console.log(`❌ Failed: ${failed.map(r => r.identifier).join(', ')}`);
+      }
+    }
+
+    if (failed.length > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * Add, list, edit and delete comments on a Linear issue
+ *
+ * Usage:
+ *   ./comment.js ISSUE_ID "Comment text"                 # Add a comment
+ *   ./comment.js ISSUE_ID "Reply text" --reply-to COMMENT_ID  # Reply in a thread
+ *   ./comment.js ISSUE_ID --list                         # List comments
+ *   ./comment.js ISSUE_ID --list --all                   # List all comments
+ *   ./comment.js --edit COMMENT_ID "New text"            # Edit a comment
+ *   ./comment.js --delete COMMENT_ID                     # Delete a comment
+ *   ./comment.js --json                                  # JSON output
+ */
+
+import { makeRequest, paginate, getLimit, parseArgs, formatOutput, formatDate } from './linear-api.js';
+
+async function getIssue(issueId) {
+  const query = `
+    query GetIssue($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { id: issueId });
+  return data.issue;
+}
+
+async function getComments(issueId, limit = 50) {
+  const issue = await getIssue(issueId);
+  if (!issue) {
+    return null;
+  }
+
+  const query = `
+    query GetIssueComments($id: String!, $first: Int!, $after: String) {
+      issue(id: $id) {
+        comments(first: $first, after: $after) {
+          nodes {
+            id
+            body
+            createdAt
+            editedAt
+            url
+            user {
+              name
+              email
+            }
+            parent {
+              id
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  issue.comments = {
+    nodes: await paginate(query, { id: issue.id }, data => data.issue.comments, { limit })
+  };
+  return issue;
+}
+
+async function createComment(issueId, body, parentId) {
+  const mutation = `
+    mutation CommentCreate($input: CommentCreateInput!) {
+      commentCreate(input: $input) {
+        success
+        comment {
+          id
+          body
+          createdAt
+          url
+          user {
+            name
+            email
+          }
+          issue {
+            identifier
+            title
+          }
+        }
+      }
+    }
+  `;
+
+  const input = {
+    issueId,
+    body
+  };
+
+  if (parentId) {
+    input.parentId = parentId;
+  }
+
+  const data = await makeRequest(mutation, { input });
+
+  if (!data.commentCreate.success) {
+    throw new Error('Failed to create comment');
+  }
+
+  return data.commentCreate.comment;
+}
+
+async function updateComment(commentId, body) {
+  const mutation = `
+    mutation CommentUpdate($id: String!, $input: CommentUpdateInput!) {
+      commentUpdate(id: $id, input: $input) {
+        success
+        comment {
+          id
+          body
+          editedAt
+          url
+          issue {
+            identifier
+            title
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id: commentId, input: { body } });
+
+  if (!data.commentUpdate.success) {
+    throw new Error('Failed to update comment');
+  }
+
+  return data.commentUpdate.comment;
+}
+
+async function deleteComment(commentId) {
+  const mutation = `
+    mutation CommentDelete($id: String!) {
+      commentDelete(id: $id) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id: commentId });
+
+  if (!data.commentDelete.success) {
+    throw new Error('Failed to delete comment');
+  }
+
+  return true;
+}
+
+function printUsage() {
+  console.error('Usage: ./comment.js <ISSUE_ID> "<comment>"');
+  console.error('   or: ./comment.js <ISSUE_ID> "<reply>" --reply-to <COMMENT_ID>');
+  console.error('   or: ./comment.js <ISSUE_ID> --list');
+  console.error('   or: ./comment.js --edit <COMMENT_ID> "<new text>"');
+  console.error('   or: ./comment.js --delete <COMMENT_ID>');
+  console.error('');
+  console.error('Examples:');
+  console.error('  ./comment.js ENG-123 "Reproduced on staging, working on a fix"');
+  console.error('  ./comment.js ENG-123 --list');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // With --json, stdout carries only the JSON and progress goes to stderr
+  const log = args.json ? console.error : console.log;
+
+  try {
+    // Delete a comment
+    if (args.delete) {
+      if (typeof args.delete !== 'string') {
+        console.error('Comment ID required for --delete');
+        process.exit(1);
+      }
+
+      log(`🗑️  Deleting comment ${args.delete}...`);
+      await deleteComment(args.delete);
+
+      if (args.json) {
+        formatOutput({ id: args.delete, deleted: true }, 'json');
+      } else {
+        console.log(`✅ Comment ${args.delete} deleted successfully`);
+      }
+      return;
+    }
+
+    // Edit a comment
+    if (args.edit) {
+      const body = args._positional?.[0];
+      if (typeof args.edit !== 'string' || !body) {
+        console.error('Usage: ./comment.js --edit <COMMENT_ID> "<new text>"');
+        process.exit(1);
+      }
+
+      const comment = await updateComment(args.edit, body);
+
+      if (args.json) {
+        formatOutput(comment, 'json');
+      } else {
+        console.log('\n✅ Comment updated successfully!');
+        console.log(`📋 ${comment.issue.identifier} - ${comment.issue.title}`);
+        console.log(`💬 ${comment.body}`);
+        console.log(`URL: ${comment.url}`);
+      }
+      return;
+    }
+
+    const issueId = args._positional?.[0];
+
+    if (!issueId) {
+      printUsage();
+      process.exit(1);
+    }
+
+    // List comments
+    if (args.list) {
+      const issue = await getComments(issueId, getLimit(args, 50));
+
+      if (!issue) {
+        console.error(`Issue '${issueId}' not found`);
+        process.exit(1);
+      }
+
+      const comments = issue.comments.nodes;
+
+      if (args.json) {
+        formatOutput(comments, 'json');
+        return;
+      }
+
+      console.log(`\n📋 ${issue.identifier} - ${issue.title}`);
+      console.log(`Found ${comments.length} comments:\n`);
+
+      // Show threads: top-level comments followed by their replies. Replies whose parent
+      // wasn't fetched (outside --limit) are shown on their own so they don't disappear.
+      const ids = new Set(comments.map(c => c.id));
+      const topLevel = comments.filter(c => !c.parent || !ids.has(c.parent.id));
+      const replies = comments.filter(c => c.parent && ids.has(c.parent.id));
+
+      topLevel.forEach(comment => {
+        const edited = comment.editedAt ? ' (edited)' : '';
+        const replyTo = comment.parent ? ` (reply to ${comment.parent.id})` : '';
+        console.log(`💬 ${comment.user?.name || 'Unknown'} - ${formatDate(comment.createdAt)}${edited}${replyTo}`);
+        console.log(`   ID: ${comment.id}`);
+        console.log(`   ${comment.body}`);
+
+        replies.filter(r => r.parent.id === comment.id).forEach(reply => {
+          const replyEdited = reply.editedAt ? ' (edited)' : '';
+          console.log(`   ↳ ${reply.user?.name || 'Unknown'} - ${formatDate(reply.createdAt)}${replyEdited}`);
+          console.log(`     ID: ${reply.id}`);
+          console.log(`     ${reply.body}`);
+        });
+
+        console.log('');
+      });
+      return;
+    }
+
+    // Create a comment
+    const body = args._positional?.[1];
+
+    if (args['reply-to'] !== undefined && typeof args['reply-to'] !== 'string') {
+      console.error('Comment ID required for --reply-to');
+      printUsage();
+      process.exit(1);
+    }
+
+    if (!body) {
+      console.error('Comment text is required');
+      printUsage();
+      process.exit(1);
+    }
+
+    const issue = await getIssue(issueId);
+
+    if (!issue) {
+      console.error(`Issue '${issueId}' not found`);
+      process.exit(1);
+    }
+
+    const parentId = typeof args['reply-to'] === 'string' ? args['reply-to'] : null;
+
+    log(`Adding ${parentId ? 'reply' : 'comment'} to ${issue.identifier} - ${issue.title}...`);
+    const comment = await createComment(issue.id, body, parentId);
+
+    if (args.json) {
+      formatOutput(comment, 'json');
+    } else {
+      console.log('\n✅ Comment added successfully!');
+      console.log(`📋 ${comment.issue.identifier} - ${comment.issue.title}`);
+      console.log(`👤 Author: ${comment.user.name} (${comment.user.email})`);
+      console.log(`💬 ${comment.body}`);
+      console.log(`ID: ${comment.id}`);
+      console.log(`URL: ${comment.url}`);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
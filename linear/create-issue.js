@@ -12,11 +12,20 @@
  *   ./create-issue.js --title "Bug" --team ENG --attachment "https://example.com/file1.png" --attachment "https://example.com/file2.pdf"
  *   ./create-issue.js --title "Feature" --team MA --project "RSG Challenges"
  *   ./create-issue.js --title "Bug fix" --team MA --project "RSG Challenges" --assignee email@domain.com
+ *   ./create-issue.js --title "Invite flow" --team MA --project "RSG Challenges" --milestone "Beta"
+ *   ./create-issue.js --title "Crash on save" --team ENG --label bug --label regression
+ *   ./create-issue.js --title "Task" --team ENG --cycle current
+ *   ./create-issue.js --title "Subtask" --team ENG --parent ENG-123
+ *   ./create-issue.js --title "Task" --team ENG --estimate 3 --due "next friday"
+ *   ./create-issue.js --template bug --team ENG --summary "Crash on save" --steps "..." --expected "..." --actual "..."
+ *   ./create-issue.js --template .linear/templates/incident.md   # Template file (prompts for missing values)
+ *   ./create-issue.js --template "Customer request" --team ENG --title "..."  # Linear team template
+ *   ./create-issue.js --list-templates --team ENG
  */
 
-import { makeRequest, parseArgs, getUserId, formatOutput, processLocalImagesForDescription, createAttachment } from './linear-api.js';
+import { makeRequest, parseArgs, getUserId, getTeams, getWorkflowStates, getProjectsByTeam, findTeamProject, formatOutput, processLocalImagesForDescription, processAttachments, resolveLabels, resolveCycle, formatCycle, resolveEstimate, resolveDueDate, getTeamEstimation, formatEstimate, resolveMilestone } from './linear-api.js';
+import { findLocalTemplate, listLocalTemplates, getIssueTemplates, listPlaceholders, fillPlaceholders } from './templates.js';
 import { createInterface } from 'readline';
-import path from 'path';
 
 const priorities = {
   'urgent': 1,
@@ -26,6 +35,11 @@ const priorities = {
   'none': 0
 };
 
+function parsePriority(value) {
+  const priority = String(value ?? '').toLowerCase();
+  return priorities[priority] ?? (/^[0-4]$/.test(priority) ? parseInt(priority) : 0);
+}
+
 async function promptInput(question) {
   const rl = createInterface({
     input: process.stdin,
@@ -40,95 +54,164 @@ async function promptInput(question) {
   });
 }
 
-async function getTeams() {
+async function getParentIssue(issueId) {
   const query = `
-    query GetTeams {
-      teams {
-        nodes {
-          id
-          key
-          name
-        }
+    query GetParentIssue($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
       }
     }
   `;
   
-  const data = await makeRequest(query);
-  return data.teams.nodes;
+  const data = await makeRequest(query, { id: issueId });
+  return data.issue;
 }
 
-async function getProjectsByTeam(teamId) {
-  const query = `
-    query GetProjectsByTeam($teamId: String!) {
-      team(id: $teamId) {
-        projects {
-          nodes {
-            id
-            name
-            description
-            state
-          }
-        }
-      }
-    }
-  `;
+/**
+ * Find a template by name or path: local Markdown templates first, then Linear's team templates
+ */
+async function resolveTemplate(nameOrPath) {
+  const local = findLocalTemplate(nameOrPath);
+  if (local) {
+    return local;
+  }
+  
+  const linearTemplates = await getIssueTemplates();
+  const linearTemplate = linearTemplates.find(t => t.name.toLowerCase() === nameOrPath.toLowerCase());
+  if (linearTemplate) {
+    // Linear fills in the title, description and properties from its template data
+    return { name: linearTemplate.name, templateId: linearTemplate.id, defaults: { team: linearTemplate.team?.key }, body: '' };
+  }
   
-  const data = await makeRequest(query, { teamId });
-  return data.team.projects.nodes;
+  const available = [...listLocalTemplates().map(t => t.name), ...linearTemplates.map(t => t.name)];
+  throw new Error(`Template '${nameOrPath}' not found. Available templates: ${available.join(', ') || 'none'}`);
 }
 
-async function getAllProjects() {
-  const query = `
-    query GetAllProjects {
-      projects {
-        nodes {
-          id
-          name
-          teams {
-            nodes {
-              id
-              key
-            }
-          }
-        }
-      }
-    }
-  `;
+/**
+ * Fill a template's title and description; missing required values are returned, not filled
+ * @returns {{title: string, description: string, missing: string[]}}
+ */
+function applyTemplate(template, values, extraDescription) {
+  const missing = listPlaceholders(template)
+    .filter(p => !p.optional && !values[p.name])
+    .map(p => p.name);
+  
+  let description = fillPlaceholders(template.body, values)
+    .replace(/^#{1,6} .*\n\s*(?=^#{1,6} |(?![\s\S]))/gm, '') // Drop sections left empty
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  if (extraDescription && !/\{\{\s*description\??\s*\}\}/.test(template.body)) {
+    description = [description, extraDescription].filter(Boolean).join('\n\n');
+  }
   
-  const data = await makeRequest(query);
-  return data.projects.nodes;
+  return {
+    title: template.defaults.title ? fillPlaceholders(template.defaults.title, values).trim() : '',
+    description,
+    missing
+  };
 }
 
-async function getTeamStates(teamId) {
-  const query = `
-    query GetTeamStates($teamId: String!) {
-      team(id: $teamId) {
-        states {
-          nodes {
-            id
-            name
-            type
-          }
-        }
-      }
+// Options of this script; a placeholder with one of these names is never filled from the flag
+const ISSUE_FLAGS = [
+  'title', 'description', 'team', 'assignee', 'priority', 'project', 'label', 'attachment', 'cycle',
+  'parent', 'estimate', 'due', 'milestone', 'template', 'json', 'list-templates'
+];
+
+/**
+ * Template values come from flags named after the template's placeholders (--steps "...")
+ */
+function templateValues(args, template) {
+  if (!template) return {};
+  return Object.fromEntries(listPlaceholders(template)
+    .map(p => p.name)
+    .filter(name => !ISSUE_FLAGS.includes(name) && typeof args[name] === 'string')
+    .map(name => [name, args[name]]));
+}
+
+/**
+ * Prompt for the template values not already given
+ */
+async function promptForValues(template, values) {
+  const result = { ...values };
+  for (const placeholder of listPlaceholders(template)) {
+    if (result[placeholder.name]) continue;
+    result[placeholder.name] = await promptInput(`${placeholder.name}${placeholder.optional ? ' (optional)' : ''}: `);
+    if (!placeholder.optional && !result[placeholder.name]) {
+      console.error(`${placeholder.name} is required by template '${template.name}'`);
+      process.exit(1);
     }
-  `;
+  }
+  return result;
+}
+
+function templateLabels(template) {
+  const labels = template?.defaults.labels;
+  if (!labels) return [];
+  return Array.isArray(labels) ? labels : labels.split(',').map(l => l.trim()).filter(Boolean);
+}
+
+async function listTemplates(args) {
+  const teams = await getTeams();
+  const team = args.team ? teams.find(t => t.key.toLowerCase() === args.team.toLowerCase()) : null;
+  if (args.team && !team) {
+    throw new Error(`Team '${args.team}' not found`);
+  }
+  
+  const localTemplates = listLocalTemplates();
+  const linearTemplates = await getIssueTemplates(team?.id);
+  
+  if (args.json) {
+    formatOutput({
+      local: localTemplates.map(t => ({ name: t.name, file: t.file, defaults: t.defaults, placeholders: listPlaceholders(t) })),
+      linear: linearTemplates
+    }, 'json');
+    return;
+  }
   
-  const data = await makeRequest(query, { teamId });
-  return data.team.states.nodes;
+  console.log('Local templates (--template NAME):');
+  if (localTemplates.length === 0) {
+    console.log('  None (add Markdown files to .linear/templates/)');
+  }
+  localTemplates.forEach(t => {
+    const placeholders = listPlaceholders(t).map(p => `--${p.name}${p.optional ? ' (optional)' : ''}`);
+    console.log(`  📝 ${t.name} - ${t.file}`);
+    const defaults = Object.entries(t.defaults).filter(([key]) => key !== 'title').map(([key, value]) => `${key}: ${[].concat(value).join(', ')}`);
+    if (defaults.length > 0) {
+      console.log(`     Defaults: ${defaults.join(' | ')}`);
+    }
+    if (placeholders.length > 0) {
+      console.log(`     Values: ${placeholders.join(', ')}`);
+    }
+  });
+  
+  console.log(`\nLinear templates${team ? ` for ${team.key}` : ''}:`);
+  if (linearTemplates.length === 0) {
+    console.log('  None');
+  }
+  linearTemplates.forEach(t => {
+    console.log(`  📋 ${t.name}${t.team ? ` (${t.team.key})` : ' (workspace)'}${t.description ? ` - ${t.description}` : ''}`);
+  });
 }
 
-async function interactiveMode() {
+async function interactiveMode(template = null, templateValues = {}) {
   console.log('🚀 Creating a new Linear issue\n');
   
   // Get teams
   const teams = await getTeams();
-  console.log('Available teams:');
-  teams.forEach((team, i) => {
-    console.log(`  ${i + 1}. ${team.key} - ${team.name}`);
-  });
+  let teamChoice = template?.defaults.team;
   
-  const teamChoice = await promptInput('\nSelect team (number or key): ');
+  if (teamChoice) {
+    console.log(`Using team ${teamChoice} from template '${template.name}'`);
+  } else {
+    console.log('Available teams:');
+    teams.forEach((team, i) => {
+      console.log(`  ${i + 1}. ${team.key} - ${team.name}`);
+    });
+    
+    teamChoice = await promptInput('\nSelect team (number or key): ');
+  }
   let selectedTeam;
   
   if (/^\d+$/.test(teamChoice)) {
@@ -145,24 +228,50 @@ async function interactiveMode() {
   
   console.log(`Selected team: ${selectedTeam.key} - ${selectedTeam.name}\n`);
   
-  const title = await promptInput('Issue title: ');
-  if (!title) {
+  // Ask for the template's values, then fill its title and description
+  let filled = null;
+  if (template) {
+    const values = await promptForValues(template, templateValues);
+    filled = applyTemplate(template, values);
+  }
+  
+  const title = filled?.title || await promptInput('Issue title: ');
+  if (!title && !template?.templateId) {
     console.error('Title is required');
     process.exit(1);
   }
   
-  const description = await promptInput('Description (optional): ');
-  const priorityInput = await promptInput('Priority (urgent/high/medium/low/none, default: none): ');
+  const description = filled ? filled.description : await promptInput('Description (optional): ');
+  const priorityInput = template?.defaults.priority !== undefined
+    ? String(template.defaults.priority)
+    : await promptInput('Priority (urgent/high/medium/low/none, default: none): ');
   const assigneeEmail = await promptInput('Assignee email (optional): ');
   
-  const priority = priorities[priorityInput.toLowerCase()] ?? 0;
+  // An empty answer keeps a Linear template's own priority
+  const priority = template?.templateId && !priorityInput ? undefined : parsePriority(priorityInput);
+  
+  // Labels and project from the template's front-matter
+  const labelNames = templateLabels(template);
+  const labelIds = labelNames.length > 0 ? (await resolveLabels(selectedTeam.id, labelNames)).map(l => l.id) : [];
+  let projectId = null;
+  if (template?.defaults.project) {
+    const project = await findTeamProject(selectedTeam.id, template.defaults.project);
+    if (!project) {
+      console.error(`Project '${template.defaults.project}' from template '${template.name}' not found for team '${selectedTeam.key}'`);
+      process.exit(1);
+    }
+    projectId = project.id;
+  }
   
   return {
-    title,
+    title: title || undefined,
     description: description || undefined,
     priority,
     assigneeEmail: assigneeEmail || undefined,
-    teamId: selectedTeam.id
+    teamId: selectedTeam.id,
+    projectId,
+    labelIds,
+    templateId: template?.templateId
   };
 }
 
@@ -177,9 +286,9 @@ async function createIssue(issueData) {
     }
   }
   
-  // Process local images for embedding and separate URL attachments
+  // Upload local images for embedding and keep other files and URLs as attachments
   let description = issueData.description || '';
-  let urlAttachments = [];
+  let fileAttachments = [];
   
   if (issueData.attachments && issueData.attachments.length > 0) {
     const { markdown, remaining } = await processLocalImagesForDescription(issueData.attachments);
@@ -187,14 +296,10 @@ async function createIssue(issueData) {
     // Add embedded images to description
     description += markdown;
     
-    // Keep URL attachments for later processing
-    urlAttachments = remaining.filter(att => att.startsWith('http://') || att.startsWith('https://'));
+    // Keep URLs and non-image files for attachment records
+    fileAttachments = remaining;
   }
   
-  // Get team states to find the default state
-  const states = await getTeamStates(issueData.teamId);
-  const defaultState = states.find(s => s.type === 'unstarted') || states[0];
-  
   const mutation = `
     mutation CreateIssue($input: IssueCreateInput!) {
       issueCreate(input: $input) {
@@ -204,10 +309,13 @@ async function createIssue(issueData) {
           identifier
           title
           url
+          estimate
+          dueDate
           state {
             name
           }
           team {
+            id
             key
             name
           }
@@ -215,6 +323,24 @@ async function createIssue(issueData) {
             id
             name
           }
+          projectMilestone {
+            name
+          }
+          labels {
+            nodes {
+              name
+            }
+          }
+          cycle {
+            number
+            name
+            startsAt
+            endsAt
+          }
+          parent {
+            identifier
+            title
+          }
         }
       }
     }
@@ -223,10 +349,20 @@ async function createIssue(issueData) {
   const input = {
     title: issueData.title,
     teamId: issueData.teamId,
-    stateId: defaultState.id,
     priority: issueData.priority
   };
   
+  if (issueData.templateId) {
+    // Let the Linear template supply whatever wasn't given explicitly, including its state
+    input.templateId = issueData.templateId;
+    if (!issueData.title) delete input.title;
+    if (issueData.priority === undefined) delete input.priority;
+  } else {
+    // Start in the team's first unstarted state
+    const states = await getWorkflowStates(issueData.teamId);
+    input.stateId = (states.find(s => s.type === 'unstarted') || states[0]).id;
+  }
+  
   if (description.trim()) {
     input.description = description;
   }
@@ -239,6 +375,30 @@ async function createIssue(issueData) {
     input.projectId = issueData.projectId;
   }
   
+  if (issueData.projectMilestoneId) {
+    input.projectMilestoneId = issueData.projectMilestoneId;
+  }
+  
+  if (issueData.labelIds && issueData.labelIds.length > 0) {
+    input.labelIds = issueData.labelIds;
+  }
+  
+  if (issueData.cycleId) {
+    input.cycleId = issueData.cycleId;
+  }
+  
+  if (issueData.parentId) {
+    input.parentId = issueData.parentId;
+  }
+  
+  if (issueData.estimate !== undefined && issueData.estimate !== null) {
+    input.estimate = issueData.estimate;
+  }
+  
+  if (issueData.dueDate) {
+    input.dueDate = issueData.dueDate;
+  }
+  
   const data = await makeRequest(mutation, { input });
   
   if (!data.issueCreate.success) {
@@ -247,23 +407,9 @@ async function createIssue(issueData) {
   
   const issue = data.issueCreate.issue;
   
-  // Process URL attachments after issue creation
-  const attachmentResults = [];
-  for (const urlAttachment of urlAttachments) {
-    try {
-      console.log(`📎 Creating attachment for ${urlAttachment}...`);
-      const filename = path.basename(new URL(urlAttachment).pathname) || 'Attachment';
-      const attachmentId = await createAttachment(issue.id, filename, urlAttachment);
-      attachmentResults.push(`✅ Created attachment: ${filename}`);
-      console.log(`✅ Created attachment: ${filename} (${attachmentId})`);
-    } catch (error) {
-      console.error(`❌ Failed to create attachment for ${urlAttachment}: ${error.message}`);
-      attachmentResults.push(`❌ Failed: ${path.basename(urlAttachment)} - ${error.message}`);
-    }
-  }
-  
-  if (attachmentResults.length > 0) {
-    issue._attachmentResult = '\n\n**📎 URL Attachment Results:**\n' + attachmentResults.join('\n');
+  // Upload files and create attachment records after issue creation
+  if (fileAttachments.length > 0) {
+    issue._attachmentResult = await processAttachments(issue.id, fileAttachments);
   }
   
   return issue;
@@ -273,40 +419,61 @@ async function main() {
   const args = parseArgs(process.argv.slice(2));
   
   try {
+    if (args['list-templates']) {
+      await listTemplates(args);
+      return;
+    }
+    
+    const template = typeof args.template === 'string' ? await resolveTemplate(args.template) : null;
+    const defaults = template?.defaults || {};
+    const teamKey = args.team || defaults.team;
+    const hasTitle = args.title || defaults.title || template?.templateId;
+    
     let issueData;
     
-    if (args.title && args.team) {
+    if (hasTitle && teamKey) {
       // Non-interactive mode
       const teams = await getTeams();
-      const team = teams.find(t => t.key.toLowerCase() === args.team.toLowerCase());
+      const team = teams.find(t => t.key.toLowerCase() === teamKey.toLowerCase());
       
       if (!team) {
-        console.error(`Team '${args.team}' not found`);
+        console.error(`Team '${teamKey}' not found`);
         console.error('Available teams:');
         teams.forEach(t => console.error(`  ${t.key} - ${t.name}`));
         process.exit(1);
       }
       
-      const priority = args.priority ? (priorities[args.priority.toLowerCase()] ?? 0) : 0;
+      let title = args.title;
+      let description = args.description;
+      if (template && !template.templateId) {
+        let filled = applyTemplate(template, templateValues(args, template), args.description);
+        if (filled.missing.length > 0) {
+          if (!process.stdin.isTTY) {
+            const promptOnly = filled.missing.filter(name => ISSUE_FLAGS.includes(name));
+            console.error(`Template '${template.name}' needs: ${filled.missing.map(name => `--${name}`).join(', ')}`);
+            if (promptOnly.length > 0) {
+              console.error(`{{${promptOnly.join('}}, {{')}}} ${promptOnly.length === 1 ? 'shares its name with a create-issue.js option' : 'share names with create-issue.js options'} and can only be filled in interactively; rename ${promptOnly.length === 1 ? 'it' : 'them'} in the template`);
+            }
+            process.exit(1);
+          }
+          filled = applyTemplate(template, await promptForValues(template, templateValues(args, template)), args.description);
+        }
+        title = args.title || filled.title;
+        description = filled.description;
+        console.log(`📝 Using template: ${template.name}`);
+      }
+      
+      const priorityInput = args.priority ?? defaults.priority;
+      const priority = priorityInput !== undefined ? parsePriority(priorityInput) : (template?.templateId ? undefined : 0);
       
       // Handle project assignment
+      const projectName = args.project || defaults.project;
       let projectId = null;
-      if (args.project) {
-        // First try to find project by name within the team
-        const teamProjects = await getProjectsByTeam(team.id);
-        let project = teamProjects.find(p => p.name.toLowerCase() === args.project.toLowerCase());
+      if (projectName) {
+        const project = await findTeamProject(team.id, projectName);
         
-        // If not found in team projects, search all projects
         if (!project) {
-          const allProjects = await getAllProjects();
-          project = allProjects.find(p => 
-            p.name.toLowerCase() === args.project.toLowerCase() &&
-            p.teams.nodes.some(t => t.id === team.id)
-          );
-        }
-        
-        if (!project) {
-          console.error(`Project '${args.project}' not found for team '${args.team}'`);
+          console.error(`Project '${projectName}' not found for team '${team.key}'`);
           console.error('Available projects for this team:');
           const availableProjects = await getProjectsByTeam(team.id);
           if (availableProjects.length > 0) {
@@ -321,6 +488,68 @@ async function main() {
         console.log(`📋 Assigning to project: ${project.name}`);
       }
       
+      // Handle milestone, which must belong to the project
+      let projectMilestoneId = null;
+      if (args.milestone) {
+        if (typeof args.milestone !== 'string') {
+          console.error('Milestone name required for --milestone');
+          process.exit(1);
+        }
+        if (!projectId) {
+          console.error('--milestone needs --project: milestones belong to a project');
+          process.exit(1);
+        }
+        const milestone = await resolveMilestone(projectId, args.milestone);
+        projectMilestoneId = milestone.id;
+        console.log(`🏁 Adding to milestone: ${milestone.name}`);
+      }
+      
+      // Handle labels - support multiple --label flags, added to the template's labels
+      let labelIds = [];
+      const labelNames = [...templateLabels(template), ...(args.label ? [].concat(args.label) : [])]
+        .filter((name, i, all) => all.findIndex(other => other.toLowerCase() === name.toLowerCase()) === i);
+      if (labelNames.length > 0) {
+        const labels = await resolveLabels(team.id, labelNames);
+        labelIds = labels.map(l => l.id);
+        console.log(`🏷️  Adding labels: ${labels.map(l => l.name).join(', ')}`);
+      }
+      
+      // Handle cycle assignment
+      let cycleId = null;
+      if (args.cycle) {
+        const cycle = await resolveCycle(team.id, args.cycle);
+        cycleId = cycle.id;
+        console.log(`🔄 Adding to ${formatCycle(cycle)}`);
+      }
+      
+      // Handle parent issue for sub-issues
+      let parentId = null;
+      if (args.parent) {
+        const parent = await getParentIssue(args.parent);
+        if (!parent) {
+          console.error(`Parent issue '${args.parent}' not found`);
+          process.exit(1);
+        }
+        parentId = parent.id;
+        console.log(`⬆️  Creating as sub-issue of ${parent.identifier} - ${parent.title}`);
+      }
+      
+      // Handle estimate, checked against the team's estimate scale
+      let estimate;
+      const estimateInput = args.estimate ?? defaults.estimate;
+      if (estimateInput !== undefined) {
+        estimate = await resolveEstimate(team.id, estimateInput);
+        console.log(`📏 Estimate: ${estimateInput}`);
+      }
+      
+      // Handle due date (ISO date or phrase like "next friday")
+      let dueDate;
+      const dueInput = args.due || defaults.due;
+      if (dueInput) {
+        dueDate = await resolveDueDate(team.id, dueInput);
+        console.log(`📅 Due: ${dueDate}`);
+      }
+      
       // Handle attachments - support multiple files
       let attachments = [];
       if (args.attachment) {
@@ -332,17 +561,24 @@ async function main() {
       }
       
       issueData = {
-        title: args.title,
-        description: args.description,
+        title,
+        description,
         priority,
         assigneeEmail: args.assignee,
         teamId: team.id,
         projectId,
-        attachments
+        projectMilestoneId,
+        labelIds,
+        cycleId,
+        parentId,
+        estimate,
+        dueDate,
+        attachments,
+        templateId: template?.templateId
       };
     } else {
       // Interactive mode
-      issueData = await interactiveMode();
+      issueData = await interactiveMode(template, templateValues(args, template));
     }
     
     console.log('\nCreating issue...');
@@ -358,6 +594,25 @@ async function main() {
       if (issue.project) {
         console.log(`Project: ${issue.project.name}`);
       }
+      if (issue.projectMilestone) {
+        console.log(`Milestone: ${issue.projectMilestone.name}`);
+      }
+      if (issue.labels.nodes.length > 0) {
+        console.log(`Labels: ${issue.labels.nodes.map(l => l.name).join(', ')}`);
+      }
+      if (issue.cycle) {
+        console.log(`Cycle: ${formatCycle(issue.cycle)}`);
+      }
+      if (issue.parent) {
+        console.log(`Parent: ${issue.parent.identifier} - ${issue.parent.title}`);
+      }
+      if (issue.estimate !== null && issue.estimate !== undefined) {
+        const estimation = await getTeamEstimation(issue.team.id);
+        console.log(`Estimate: ${formatEstimate(issue.estimate, estimation.issueEstimationType)}`);
+      }
+      if (issue.dueDate) {
+        console.log(`Due: ${issue.dueDate}`);
+      }
       console.log(`URL: ${issue.url}`);
       
       // Display attachment results if any
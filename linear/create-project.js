@@ -9,24 +9,7 @@
  *   ./create-project.js --name "Feature X" --team ENG --lead email@domain.com
  */
 
-import { makeRequest, parseArgs, getUserId, formatOutput } from './linear-api.js';
-
-async function getTeams() {
-  const query = `
-    query GetTeams {
-      teams {
-        nodes {
-          id
-          key
-          name
-        }
-      }
-    }
-  `;
-  
-  const data = await makeRequest(query);
-  return data.teams.nodes;
-}
+import { makeRequest, parseArgs, getUserId, getTeams, formatOutput } from './linear-api.js';
 
 async function createProject(projectData) {
   let leadId = null;
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Show the Linear issue for the current git branch
+ * The issue is detected from the branch name (e.g. alice/eng-123-fix-login → ENG-123).
+ *
+ * Usage:
+ *   ./current.js                # Issue details, like issue.js
+ *   ./current.js --id           # Just the identifier (for scripts and prompts)
+ *   ./current.js --offline      # Read from the local mirror (run sync.js first)
+ *   ./current.js --json         # JSON output
+ */
+
+import { parseArgs, formatOutput, getTeams, getIssueDetails, printIssueDetails } from './linear-api.js';
+import { loadMirror, findMirroredIssue, describeSyncAge } from './mirror.js';
+import { getCurrentBranch, findIssueIdentifiers } from './git.js';
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const branch = getCurrentBranch();
+    if (!branch) {
+      throw new Error('HEAD is detached; check out an issue branch first');
+    }
+
+    // Only consider prefixes that are real team keys, so "release-2" isn't mistaken for an issue
+    const mirror = args.offline ? loadMirror() : null;
+    const teamKeys = mirror
+      ? [...new Set(mirror.issues.map(i => i.team.key))]
+      : (await getTeams()).map(t => t.key);
+    const identifiers = findIssueIdentifiers(branch, teamKeys);
+
+    if (identifiers.length === 0) {
+      console.error(`No issue identifier found in branch '${branch}'`);
+      process.exit(1);
+    }
+
+    const identifier = identifiers[0];
+    if (args.id) {
+      console.log(identifier);
+      return;
+    }
+
+    const issue = mirror ? findMirroredIssue(mirror, identifier) : await getIssueDetails(identifier);
+    if (!issue) {
+      console.error(`Issue ${identifier} from branch '${branch}' not found${mirror ? ' in the local mirror' : ''}`);
+      process.exit(1);
+    }
+
+    if (args.json) {
+      formatOutput(issue, 'json');
+      return;
+    }
+
+    printIssueDetails(issue, mirror ? ` (offline, ${describeSyncAge(mirror.state)})` : '');
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
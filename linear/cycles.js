@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * List Linear cycles for a team and summarize a cycle
+ *
+ * Usage:
+ *   ./cycles.js TEAM_KEY                     # Recent, current and upcoming cycles
+ *   ./cycles.js TEAM_KEY --limit 10          # Show the last 10 past cycles (default: 3)
+ *   ./cycles.js TEAM_KEY --all               # Show all past cycles
+ *   ./cycles.js TEAM_KEY --summary           # Summary of the current cycle
+ *   ./cycles.js TEAM_KEY --summary next      # Summary of the next cycle
+ *   ./cycles.js TEAM_KEY --summary 42        # Summary of cycle 42
+ *   ./cycles.js TEAM_KEY --json              # JSON output
+ */
+
+import { paginate, getLimit, parseArgs, formatOutput, getTeams, getCycles, resolveCycle, formatCycle } from './linear-api.js';
+
+async function getCycleIssues(cycleId) {
+  const query = `
+    query GetCycleIssues($cycleId: String!, $first: Int!, $after: String) {
+      cycle(id: $cycleId) {
+        issues(first: $first, after: $after) {
+          nodes {
+            id
+            identifier
+            title
+            estimate
+            completedAt
+            state {
+              name
+              type
+            }
+            assignee {
+              name
+              email
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  return paginate(query, { cycleId }, data => data.cycle.issues, { pageSize: 100 });
+}
+
+async function getUncompletedIssuesUponClose(cycleId) {
+  const query = `
+    query GetUncompletedIssues($cycleId: String!, $first: Int!, $after: String) {
+      cycle(id: $cycleId) {
+        uncompletedIssuesUponClose(first: $first, after: $after) {
+          nodes {
+            id
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  return paginate(query, { cycleId }, data => data.cycle.uncompletedIssuesUponClose, { pageSize: 250 });
+}
+
+async function buildSummary(teamId, cycleRef) {
+  const cycles = await getCycles(teamId);
+  const cycle = await resolveCycle(teamId, cycleRef, cycles);
+  const issues = await getCycleIssues(cycle.id);
+
+  // Issues left open when the previous cycle closed and still in this one
+  const previousCycle = cycles.find(c => c.number === cycle.number - 1 && c.isPast);
+  let carriedOver = [];
+  if (previousCycle) {
+    const uncompletedIds = new Set((await getUncompletedIssuesUponClose(previousCycle.id)).map(i => i.id));
+    carriedOver = issues.filter(i => uncompletedIds.has(i.id));
+  }
+
+  const activeIssues = issues.filter(i => i.state.type !== 'canceled');
+  const completedIssues = activeIssues.filter(i => i.state.type === 'completed');
+  const points = list => list.reduce((sum, i) => sum + (i.estimate || 0), 0);
+
+  // Per-assignee load
+  const assignees = {};
+  activeIssues.forEach(issue => {
+    const name = issue.assignee?.name || 'Unassigned';
+    if (!assignees[name]) {
+      assignees[name] = { issues: 0, points: 0, completedIssues: 0, completedPoints: 0, inProgress: 0 };
+    }
+    const load = assignees[name];
+    load.issues++;
+    load.points += issue.estimate || 0;
+    if (issue.state.type === 'completed') {
+      load.completedIssues++;
+      load.completedPoints += issue.estimate || 0;
+    } else if (issue.state.type === 'started') {
+      load.inProgress++;
+    }
+  });
+
+  return {
+    cycle,
+    scope: {
+      issues: activeIssues.length,
+      points: points(activeIssues),
+      unestimated: activeIssues.filter(i => !i.estimate).length,
+      canceled: issues.length - activeIssues.length
+    },
+    completed: {
+      issues: completedIssues.length,
+      points: points(completedIssues)
+    },
+    carriedOver: carriedOver.map(i => ({ identifier: i.identifier, title: i.title, state: i.state.name })),
+    assignees
+  };
+}
+
+function printSummary(summary) {
+  const { cycle, scope, completed, carriedOver, assignees } = summary;
+  const percent = (done, total) => total > 0 ? Math.round(done / total * 100) : 0;
+
+  console.log(`\n🔄 ${formatCycle(cycle)}`);
+  console.log(`   Status: ${cycle.isActive ? 'Current' : cycle.isFuture ? 'Upcoming' : 'Completed'}\n`);
+
+  console.log('Scope:');
+  console.log(`  Issues: ${scope.issues} (${scope.unestimated} unestimated, ${scope.canceled} canceled)`);
+  console.log(`  Points: ${scope.points}`);
+
+  console.log('\nCompleted:');
+  console.log(`  Issues: ${completed.issues}/${scope.issues} (${percent(completed.issues, scope.issues)}%)`);
+  console.log(`  Points: ${completed.points}/${scope.points} (${percent(completed.points, scope.points)}%)`);
+
+  if (carriedOver.length > 0) {
+    console.log(`\nCarried Over (${carriedOver.length}):`);
+    carriedOver.forEach(issue => {
+      console.log(`  ↪️  ${issue.identifier} - ${issue.title} (${issue.state})`);
+    });
+  }
+
+  const names = Object.keys(assignees).sort((a, b) => assignees[b].points - assignees[a].points);
+  if (names.length > 0) {
+    console.log('\nLoad by Assignee:');
+    names.forEach(name => {
+      const load = assignees[name];
+      console.log(`  👤 ${name}: ${load.issues} issues, ${load.points} points`);
+      console.log(`     Done: ${load.completedIssues} issues, ${load.completedPoints} points | In progress: ${load.inProgress}`);
+    });
+  }
+
+  console.log('');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const teamKey = args._positional?.[0];
+
+  if (!teamKey) {
+    console.error('Usage: ./cycles.js <TEAM_KEY> [--summary [current|next|previous|NUMBER]]');
+    console.error('');
+    console.error('Examples:');
+    console.error('  ./cycles.js ENG');
+    console.error('  ./cycles.js ENG --summary');
+    console.error('  ./cycles.js ENG --summary next');
+    process.exit(1);
+  }
+
+  try {
+    const teams = await getTeams();
+    const team = teams.find(t => t.key.toLowerCase() === teamKey.toLowerCase());
+
+    if (!team) {
+      console.error(`Team '${teamKey}' not found`);
+      console.error('Available teams:');
+      teams.forEach(t => console.error(`  ${t.key} - ${t.name}`));
+      process.exit(1);
+    }
+
+    if (args.summary) {
+      const cycleRef = typeof args.summary === 'string' ? args.summary : 'current';
+      const summary = await buildSummary(team.id, cycleRef);
+
+      if (args.json) {
+        formatOutput(summary, 'json');
+      } else {
+        printSummary(summary);
+      }
+      return;
+    }
+
+    const cycles = await getCycles(team.id);
+    const past = cycles.filter(c => c.isPast);
+    const pastLimit = getLimit(args, 3);
+    const shown = [
+      ...past.slice(Math.max(0, past.length - pastLimit)),
+      ...cycles.filter(c => !c.isPast)
+    ];
+
+    if (args.json) {
+      formatOutput(shown, 'json');
+      return;
+    }
+
+    if (shown.length === 0) {
+      console.log(`No cycles found for team ${team.key}. Cycles may be disabled for this team.`);
+      return;
+    }
+
+    console.log(`Cycles for team ${team.key} (${team.name}):\n`);
+
+    shown.forEach(cycle => {
+      const statusEmoji = cycle.isActive ? '🚀' : cycle.isFuture ? '⏳' : '✅';
+      const status = cycle.isActive ? 'Current' : cycle.isFuture ? 'Upcoming' : 'Past';
+      console.log(`${statusEmoji} ${formatCycle(cycle)}`);
+      console.log(`   Status: ${status} | Progress: ${Math.round((cycle.progress || 0) * 100)}%`);
+      console.log('');
+    });
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,160 @@
+/**
+ * Calendar dates from ISO dates and short phrases, for due dates
+ *
+ * Accepted:
+ *   2026-11-30                    ISO date (a full timestamp is cut to its date)
+ *   today, tomorrow, yesterday
+ *   friday, this friday           The coming Friday (today if it is Friday)
+ *   next friday                   Friday of next week (weeks start on Monday)
+ *   next week, next month         Monday of next week, first day of next month
+ *   in 3 days, in 2 weeks, 2w     Relative to today (d, w, m, y)
+ *   end of week                   Friday of this week ("end of next week" too)
+ *   end of month, end of quarter, end of year
+ *
+ * Cycle phrases ("end of cycle") need the team's cycles and are resolved by linear-api.js.
+ * parseSince reads the start of a reporting period instead: 30d, 2w or a date.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const UNITS = {
+  d: 'd', day: 'd', days: 'd',
+  w: 'w', week: 'w', weeks: 'w',
+  m: 'm', month: 'm', months: 'm',
+  y: 'y', year: 'y', years: 'y'
+};
+
+/**
+ * Format a Date as a local YYYY-MM-DD calendar date
+ */
+export function toDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function addMonths(date, months) {
+  // Clamp to the last day of the target month (Jan 31 + 1 month = Feb 28)
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+}
+
+function addAmount(date, amount, unit) {
+  switch (unit) {
+    case 'd': return addDays(date, amount);
+    case 'w': return addDays(date, amount * 7);
+    case 'm': return addMonths(date, amount);
+    case 'y': return addMonths(date, amount * 12);
+  }
+}
+
+function weekdayIndex(name) {
+  const lower = name.toLowerCase();
+  return WEEKDAYS.findIndex(day => day === lower || (lower.length >= 3 && day.startsWith(lower)));
+}
+
+// Monday of the week containing date
+function startOfWeek(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+/**
+ * End of a calendar period, offset by a number of periods
+ */
+function endOf(period, today, offset) {
+  switch (period) {
+    case 'week':
+      return addDays(startOfWeek(today), 4 + offset * 7);
+    case 'month':
+      return new Date(today.getFullYear(), today.getMonth() + offset + 1, 0);
+    case 'quarter': {
+      const quarterStart = today.getMonth() - (today.getMonth() % 3);
+      return new Date(today.getFullYear(), quarterStart + (offset + 1) * 3, 0);
+    }
+    case 'year':
+      return new Date(today.getFullYear() + offset, 12, 0);
+  }
+  return null;
+}
+
+/**
+ * Parse a date or phrase into a YYYY-MM-DD calendar date
+ * @param {string} text - Date or phrase (see the list above)
+ * @param {Date} now - Reference time, defaults to now
+ * @returns {string|null} - The date, or null if the text isn't understood
+ */
+export function parseDate(text, now = new Date()) {
+  const value = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+  const today = startOfDay(now);
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:t[\d:.]+(?:z|[+-][\d:]+)?)?$/);
+  if (iso) {
+    const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    // Reject dates that roll over, like 2026-02-30
+    return date.getMonth() === Number(iso[2]) - 1 ? toDateString(date) : null;
+  }
+
+  const keywords = { today: 0, tomorrow: 1, yesterday: -1 };
+  if (value in keywords) {
+    return toDateString(addDays(today, keywords[value]));
+  }
+
+  const relative = value.match(/^(?:in )?\+?(\d+) ?([a-z]+)(?: from now)?$/);
+  if (relative && UNITS[relative[2]]) {
+    return toDateString(addAmount(today, Number(relative[1]), UNITS[relative[2]]));
+  }
+
+  const weekday = value.match(/^(this |next )?([a-z]+)$/);
+  if (weekday && weekdayIndex(weekday[2]) !== -1) {
+    const target = weekdayIndex(weekday[2]);
+    if (weekday[1] === 'next ') {
+      // Same weekday in next week, counting weeks from Monday
+      return toDateString(addDays(startOfWeek(today), 7 + (target + 6) % 7));
+    }
+    return toDateString(addDays(today, (target - today.getDay() + 7) % 7));
+  }
+
+  if (value === 'next week') {
+    return toDateString(addDays(startOfWeek(today), 7));
+  }
+  if (value === 'next month') {
+    return toDateString(new Date(today.getFullYear(), today.getMonth() + 1, 1));
+  }
+
+  const end = value.match(/^(?:the )?end of (?:the |this )?(next )?(week|month|quarter|year)$/);
+  if (end) {
+    return toDateString(endOf(end[2], today, end[1] ? 1 : 0));
+  }
+
+  return null;
+}
+
+/**
+ * Parse the start of a period looking back: 30d, 2w, 3m or 1y (optionally "3 days ago"), or a
+ * date parseDate understands
+ * @param {string} text - Relative amount or date
+ * @param {Date} now - Reference time, defaults to now
+ * @returns {Date|null} - Start of the period, or null if the text isn't understood
+ */
+export function parseSince(text, now = new Date()) {
+  const relative = String(text).trim().toLowerCase().replace(/\s+/g, ' ').match(/^(\d+) ?([a-z]+)(?: ago)?$/);
+  if (relative && UNITS[relative[2]]) {
+    const amount = Number(relative[1]);
+    const unit = UNITS[relative[2]];
+    // Days and weeks count back from now; months and years from the same calendar day
+    if (unit === 'd' || unit === 'w') {
+      return new Date(now.getTime() - amount * (unit === 'w' ? 7 : 1) * 24 * 60 * 60 * 1000);
+    }
+    return addAmount(startOfDay(now), -amount, unit);
+  }
+
+  const date = parseDate(text, now);
+  return date ? new Date(`${date}T00:00:00`) : null;
+}
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Export Linear issues with their comments, history, labels, relations and attachments
+ *
+ * Takes the same filters as issues.js and writes one of:
+ *   markdown - a directory with one Markdown file per issue (YAML front-matter) and an index.md
+ *   csv      - a flat CSV file, one row per issue
+ *   json     - a single JSON archive
+ *
+ * Usage:
+ *   ./export.js --team ENG                                   # Markdown directory linear-export-YYYY-MM-DD
+ *   ./export.js --team ENG --status done --format csv        # linear-export-YYYY-MM-DD.csv
+ *   ./export.js --project PROJECT_ID --format json --output q3-review.json
+ *   ./export.js --team ENG --cycle previous --output exports/cycle
+ *   ./export.js 'project:"Q3 Launch" completed>30d' --format csv
+ *   ./export.js --team ENG --format json --output -          # Write the archive to stdout
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { makeRequest, paginate, getLimit, buildIssuesQuery, parseArgs, formatPriority, toCsv } from './linear-api.js';
+
+const FORMATS = ['markdown', 'csv', 'json'];
+
+const relationLabels = {
+  'blocks': ['Blocks', 'Blocked by'],
+  'duplicate': ['Duplicate of', 'Duplicated by'],
+  'related': ['Related to', 'Related to'],
+  'similar': ['Similar to', 'Similar to']
+};
+
+const commentFields = `
+  id
+  body
+  createdAt
+  editedAt
+  user {
+    name
+    email
+  }
+  parent {
+    id
+  }
+`;
+
+const historyFields = `
+  id
+  createdAt
+  actor {
+    name
+  }
+  fromState {
+    name
+  }
+  toState {
+    name
+  }
+  fromAssignee {
+    name
+  }
+  toAssignee {
+    name
+  }
+  fromPriority
+  toPriority
+  fromTitle
+  toTitle
+  fromProject {
+    name
+  }
+  toProject {
+    name
+  }
+  fromCycle {
+    number
+  }
+  toCycle {
+    number
+  }
+  fromEstimate
+  toEstimate
+  fromDueDate
+  toDueDate
+  fromParent {
+    identifier
+  }
+  toParent {
+    identifier
+  }
+  addedLabels {
+    name
+  }
+  removedLabels {
+    name
+  }
+  archived
+  trashed
+`;
+
+async function getExportIssue(issueId) {
+  const query = `
+    query GetIssueDetails($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
+        description
+        priority
+        estimate
+        dueDate
+        url
+        createdAt
+        updatedAt
+        startedAt
+        completedAt
+        canceledAt
+        state {
+          name
+          type
+        }
+        team {
+          key
+          name
+        }
+        assignee {
+          name
+          email
+        }
+        creator {
+          name
+          email
+        }
+        project {
+          name
+        }
+        cycle {
+          number
+          name
+        }
+        parent {
+          identifier
+          title
+        }
+        labels {
+          nodes {
+            name
+            parent {
+              name
+            }
+          }
+        }
+        children {
+          nodes {
+            identifier
+            title
+          }
+        }
+        relations {
+          nodes {
+            type
+            relatedIssue {
+              identifier
+              title
+            }
+          }
+        }
+        inverseRelations {
+          nodes {
+            type
+            issue {
+              identifier
+              title
+            }
+          }
+        }
+        attachments {
+          nodes {
+            title
+            subtitle
+            url
+            createdAt
+          }
+        }
+        comments(first: 250) {
+          nodes {
+            ${commentFields}
+          }
+          pageInfo {
+            hasNextPage
+          }
+        }
+        history(first: 250) {
+          nodes {
+            ${historyFields}
+          }
+          pageInfo {
+            hasNextPage
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { id: issueId });
+  const { inverseRelations, ...issue } = data.issue;
+
+  // Busy issues can have more comments or history than fit in one page
+  if (issue.comments.pageInfo.hasNextPage) {
+    issue.comments.nodes = await getConnection(issueId, 'comments', commentFields);
+  }
+  if (issue.history.pageInfo.hasNextPage) {
+    issue.history.nodes = await getConnection(issueId, 'history', historyFields);
+  }
+
+  const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+  return {
+    ...issue,
+    labels: issue.labels.nodes.map(l => l.parent ? `${l.parent.name}/${l.name}` : l.name),
+    children: issue.children.nodes,
+    relations: [
+      ...issue.relations.nodes.map(r => ({ type: relationLabels[r.type]?.[0] || r.type, identifier: r.relatedIssue.identifier, title: r.relatedIssue.title })),
+      ...inverseRelations.nodes.map(r => ({ type: relationLabels[r.type]?.[1] || r.type, identifier: r.issue.identifier, title: r.issue.title }))
+    ],
+    attachments: issue.attachments.nodes,
+    comments: issue.comments.nodes.sort(byDate),
+    history: issue.history.nodes.sort(byDate)
+  };
+}
+
+async function getConnection(issueId, connection, fields) {
+  const query = `
+    query GetIssueConnection($id: String!, $first: Int!, $after: String) {
+      issue(id: $id) {
+        ${connection}(first: $first, after: $after) {
+          nodes {
+            ${fields}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  return paginate(query, { id: issueId }, data => data.issue[connection], { pageSize: 250 });
+}
+
+/**
+ * Describe the changes in a history entry as short sentences
+ */
+function describeHistory(entry) {
+  const changes = [];
+  const change = (what, from, to) => changes.push(`${what}: ${from ?? 'none'} → ${to ?? 'none'}`);
+
+  if (entry.fromTitle !== null && entry.fromTitle !== undefined && entry.toTitle) change('Title', entry.fromTitle, entry.toTitle);
+  if (entry.fromState || entry.toState) change('Status', entry.fromState?.name, entry.toState?.name);
+  if (entry.fromAssignee || entry.toAssignee) change('Assignee', entry.fromAssignee?.name, entry.toAssignee?.name);
+  if (entry.fromPriority !== null && entry.fromPriority !== undefined && entry.toPriority !== null && entry.toPriority !== undefined && entry.fromPriority !== entry.toPriority) {
+    change('Priority', formatPriority(entry.fromPriority), formatPriority(entry.toPriority));
+  }
+  if (entry.fromProject || entry.toProject) change('Project', entry.fromProject?.name, entry.toProject?.name);
+  if (entry.fromCycle || entry.toCycle) change('Cycle', entry.fromCycle?.number, entry.toCycle?.number);
+  if (entry.fromEstimate !== entry.toEstimate && (entry.fromEstimate != null || entry.toEstimate != null)) change('Estimate', entry.fromEstimate, entry.toEstimate);
+  if (entry.fromDueDate !== entry.toDueDate && (entry.fromDueDate || entry.toDueDate)) change('Due date', entry.fromDueDate, entry.toDueDate);
+  if (entry.fromParent || entry.toParent) change('Parent', entry.fromParent?.identifier, entry.toParent?.identifier);
+  if (entry.addedLabels?.length > 0) changes.push(`Added labels: ${entry.addedLabels.map(l => l.name).join(', ')}`);
+  if (entry.removedLabels?.length > 0) changes.push(`Removed labels: ${entry.removedLabels.map(l => l.name).join(', ')}`);
+  if (entry.archived) changes.push('Archived');
+  if (entry.trashed) changes.push('Deleted');
+
+  return changes;
+}
+
+/**
+ * Render an issue as Markdown with YAML front-matter
+ */
+function toMarkdown(issue) {
+  // JSON strings are valid YAML scalars, so values never need custom escaping
+  const frontMatter = {
+    identifier: issue.identifier,
+    title: issue.title,
+    url: issue.url,
+    team: issue.team.key,
+    state: issue.state.name,
+    stateType: issue.state.type,
+    priority: formatPriority(issue.priority),
+    assignee: issue.assignee?.email || null,
+    creator: issue.creator?.email || null,
+    project: issue.project?.name || null,
+    cycle: issue.cycle?.number ?? null,
+    parent: issue.parent?.identifier || null,
+    labels: issue.labels,
+    estimate: issue.estimate ?? null,
+    dueDate: issue.dueDate || null,
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+    startedAt: issue.startedAt || null,
+    completedAt: issue.completedAt || null,
+    canceledAt: issue.canceledAt || null
+  };
+
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(frontMatter)) {
+    lines.push(`${key}: ${JSON.stringify(value)}`);
+  }
+  lines.push('---', '', `# ${issue.identifier}: ${issue.title}`, '');
+
+  lines.push(issue.description?.trim() || '_No description_', '');
+
+  if (issue.children.length > 0) {
+    lines.push('## Sub-issues', '');
+    issue.children.forEach(child => lines.push(`- ${child.identifier}: ${child.title}`));
+    lines.push('');
+  }
+
+  if (issue.relations.length > 0) {
+    lines.push('## Relations', '');
+    issue.relations.forEach(r => lines.push(`- ${r.type} ${r.identifier}: ${r.title}`));
+    lines.push('');
+  }
+
+  if (issue.attachments.length > 0) {
+    lines.push('## Attachments', '');
+    issue.attachments.forEach(a => lines.push(`- [${a.title}](${a.url})${a.subtitle ? ` - ${a.subtitle}` : ''}`));
+    lines.push('');
+  }
+
+  if (issue.comments.length > 0) {
+    lines.push('## Comments', '');
+    const replies = issue.comments.filter(c => c.parent);
+    const renderComment = (comment, depth) => {
+      const quote = '>'.repeat(depth);
+      const prefix = quote ? `${quote} ` : '';
+      lines.push(`${prefix}**${comment.user?.name || 'Unknown'}** - ${comment.createdAt}${comment.editedAt ? ' (edited)' : ''}`);
+      lines.push(quote);
+      comment.body.split('\n').forEach(line => lines.push(`${prefix}${line}`.trimEnd()));
+      lines.push('');
+      replies.filter(r => r.parent.id === comment.id).forEach(reply => renderComment(reply, depth + 1));
+    };
+    issue.comments.filter(c => !c.parent).forEach(comment => renderComment(comment, 0));
+  }
+
+  const history = issue.history
+    .map(entry => ({ entry, changes: describeHistory(entry) }))
+    .filter(({ changes }) => changes.length > 0);
+
+  if (history.length > 0) {
+    lines.push('## History', '');
+    history.forEach(({ entry, changes }) => {
+      lines.push(`- ${entry.createdAt} ${entry.actor?.name || 'System'}: ${changes.join('; ')}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function toCsvRow(issue) {
+  return {
+    identifier: issue.identifier,
+    title: issue.title,
+    team: issue.team.key,
+    state: issue.state.name,
+    priority: formatPriority(issue.priority),
+    assignee: issue.assignee?.email || '',
+    creator: issue.creator?.email || '',
+    project: issue.project?.name || '',
+    cycle: issue.cycle?.number ?? '',
+    parent: issue.parent?.identifier || '',
+    labels: issue.labels,
+    estimate: issue.estimate ?? '',
+    dueDate: issue.dueDate || '',
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+    completedAt: issue.completedAt || '',
+    canceledAt: issue.canceledAt || '',
+    url: issue.url,
+    description: issue.description || '',
+    relations: issue.relations.map(r => `${r.type} ${r.identifier}`),
+    attachments: issue.attachments.map(a => a.url),
+    comments: issue.comments.length,
+    historyEntries: issue.history.length
+  };
+}
+
+function writeOutput(output, content) {
+  if (output === '-') {
+    process.stdout.write(content);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+  fs.writeFileSync(output, content);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const format = (args.format || 'markdown').toLowerCase();
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Invalid format '${args.format}'. Valid formats: ${FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const output = typeof args.output === 'string'
+    ? args.output
+    : `linear-export-${date}${format === 'markdown' ? '' : `.${format}`}`;
+
+  // Keep stdout clean when the export itself goes there
+  const log = output === '-' ? console.error : console.log;
+
+  try {
+    const { query, variables } = buildIssuesQuery(args, 'id identifier');
+    const matches = await paginate(query, variables, data => data.issues, { limit: getLimit(args, Infinity), pageSize: 100 });
+
+    if (matches.length === 0) {
+      log('No issues match the given filters');
+      return;
+    }
+
+    log(`Exporting ${matches.length} issues...`);
+
+    const issues = [];
+    for (const [index, match] of matches.entries()) {
+      issues.push(await getExportIssue(match.id));
+      if ((index + 1) % 25 === 0 && index + 1 < matches.length) {
+        log(`  ${index + 1}/${matches.length}`);
+      }
+    }
+
+    if (format === 'json') {
+      const filters = Object.fromEntries(
+        Object.entries(args).filter(([key]) => ['team', 'status', 'assignee', 'project', 'cycle', 'blocked', 'search'].includes(key))
+      );
+      writeOutput(output, JSON.stringify({ exportedAt: new Date().toISOString(), filters, count: issues.length, issues }, null, 2) + '\n');
+    } else if (format === 'csv') {
+      writeOutput(output, toCsv(issues.map(toCsvRow)));
+    } else {
+      if (output === '-') {
+        console.error('Markdown exports need a directory; use --output <dir>');
+        process.exit(1);
+      }
+      fs.mkdirSync(output, { recursive: true });
+
+      const index = ['# Linear Export', '', `Exported ${issues.length} issues on ${date}.`, '', '| Issue | Title | Status | Assignee |', '| --- | --- | --- | --- |'];
+      for (const issue of issues) {
+        fs.writeFileSync(path.join(output, `${issue.identifier}.md`), toMarkdown(issue));
+        const title = issue.title.replace(/\|/g, '\\|');
+        index.push(`| [${issue.identifier}](${issue.identifier}.md) | ${title} | ${issue.state.name} | ${issue.assignee?.name || 'Unassigned'} |`);
+      }
+      fs.writeFileSync(path.join(output, 'index.md'), index.join('\n') + '\n');
+    }
+
+    if (output !== '-') {
+      log(`\n✅ Exported ${issues.length} issues to ${output}${format === 'markdown' ? '/' : ''}`);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,83 @@
+/**
+ * Git helpers for connecting the working copy to Linear issues
+ */
+
+import { execFileSync } from 'child_process';
+
+/**
+ * Run git and return its trimmed stdout
+ * @param {string[]} args - git arguments
+ * @param {object} options - { allowFailure } returns null instead of throwing on a non-zero exit
+ * @returns {string|null}
+ */
+export function git(args, { allowFailure = false } = {}) {
+  try {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  } catch (error) {
+    if (allowFailure) return null;
+    if (error.code === 'ENOENT') {
+      throw new Error('git is not installed or not on PATH');
+    }
+    const message = error.stderr?.toString().trim() || error.message;
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+/**
+ * Fail early with a clear message when not inside a git work tree
+ */
+export function assertGitRepository() {
+  if (git(['rev-parse', '--is-inside-work-tree'], { allowFailure: true }) !== 'true') {
+    throw new Error('Not inside a git repository');
+  }
+}
+
+/**
+ * Name of the checked-out branch, or null on a detached HEAD
+ */
+export function getCurrentBranch() {
+  assertGitRepository();
+  return git(['symbolic-ref', '--quiet', '--short', 'HEAD'], { allowFailure: true });
+}
+
+export function branchExists(ref) {
+  return git(['rev-parse', '--verify', '--quiet', ref], { allowFailure: true }) !== null;
+}
+
+/**
+ * Find issue identifiers (ENG-123) in text such as a branch name or commit message
+ * Matching is case-insensitive because branch names are lowercase (alice/eng-123-fix-login).
+ * @param {string} text - Text to scan
+ * @param {string[]} teamKeys - Only keep identifiers of these teams (all when omitted)
+ * @returns {string[]} - Unique uppercase identifiers in order of appearance
+ */
+export function findIssueIdentifiers(text, teamKeys = null) {
+  const keys = teamKeys && new Set(teamKeys.map(k => k.toUpperCase()));
+  const identifiers = [];
+
+  for (const match of text.matchAll(/(?:^|[^A-Za-z0-9])([A-Za-z][A-Za-z0-9]*)-(\d+)/g)) {
+    const identifier = `${match[1].toUpperCase()}-${match[2]}`;
+    if (keys && !keys.has(match[1].toUpperCase())) continue;
+    if (!identifiers.includes(identifier)) identifiers.push(identifier);
+  }
+  return identifiers;
+}
+
+/**
+ * Web URL of a remote (https://host/org/repo), derived from its ssh or https fetch URL
+ * @param {string} remote - Remote name
+ * @returns {string|null} - URL, or null if the remote doesn't exist or isn't a web host
+ */
+export function getRemoteWebUrl(remote = 'origin') {
+  const url = git(['remote', 'get-url', remote], { allowFailure: true });
+  if (!url) return null;
+
+  // git@host:org/repo.git and ssh://git@host[:port]/org/repo.git
+  const scp = url.match(/^[\w.-]+@([^:/]+):(.+?)(?:\.git)?\/?$/);
+  if (scp) return `https://${scp[1]}/${scp[2]}`;
+  const ssh = url.match(/^ssh:\/\/(?:[^@/]+@)?([^:/]+)(?::\d+)?\/(.+?)(?:\.git)?\/?$/);
+  if (ssh) return `https://${ssh[1]}/${ssh[2]}`;
+
+  const https = url.match(/^(https?):\/\/(?:[^@/]+@)?(.+?)(?:\.git)?\/?$/);
+  return https ? `${https[1]}://${https[2]}` : null;
+}
@@ -0,0 +1,628 @@
+#!/usr/bin/env node
+
+/**
+ * Import Linear issues from a CSV or JSONL file
+ *
+ * Columns are matched to fields by name (see fieldAliases) or with --map field=Column.
+ * Rows with an external ID are linked to their Linear issue through an attachment, so
+ * re-running an import updates the issues it created instead of duplicating them.
+ *
+ * Usage:
+ *   ./import-issues.js backlog.csv --dry-run                 # Validate without writing
+ *   ./import-issues.js backlog.csv --team ENG                # Default team for rows without one
+ *   ./import-issues.js export.jsonl --source https://jira.example.com/browse   # Where external IDs come from
+ *   ./import-issues.js backlog.csv --map title=Summary --map assignee="Owner Email"
+ *   ./import-issues.js backlog.csv --json                    # JSON output
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  makeRequest, parseArgs, getUserId, getTeams, getWorkflowStates, findTeamProject, getLabels, resolveLabels, formatOutput
+} from './linear-api.js';
+import { parseDate, toDateString } from './dates.js';
+
+const priorities = {
+  'urgent': 1,
+  'high': 2,
+  'medium': 3,
+  'low': 4,
+  'none': 0
+};
+
+// Column names recognized for each field (compared case-insensitively)
+const fieldAliases = {
+  // Only explicit names: a plain "id" column, like the one export.js writes, holds Linear IDs
+  externalId: ['external id', 'externalid', 'external_id'],
+  title: ['title', 'summary', 'name'],
+  description: ['description', 'body'],
+  team: ['team', 'team key'],
+  project: ['project'],
+  assignee: ['assignee', 'assignee email', 'email'],
+  priority: ['priority'],
+  labels: ['labels', 'label', 'tags'],
+  estimate: ['estimate', 'points', 'story points'],
+  dueDate: ['due date', 'due', 'duedate', 'due_date'],
+  parent: ['parent', 'parent id', 'parent_id']
+};
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ * Supports quoted fields with commas, newlines and "" escapes.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const [header, ...records] = nonEmpty;
+  return records.map(values => Object.fromEntries(header.map((name, i) => [name.trim(), values[i] ?? ''])));
+}
+
+/**
+ * Parse JSON Lines text (one object per line)
+ */
+function parseJsonl(text) {
+  return text.split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${number}: ${error.message}`);
+      }
+    });
+}
+
+function readRecords(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.jsonl' || ext === '.ndjson') {
+    return parseJsonl(text);
+  }
+  if (ext === '.json') {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error('JSON file must contain an array of issues');
+    }
+    return data;
+  }
+  return parseCsv(text);
+}
+
+/**
+ * Work out which column feeds each field, from --map overrides and fieldAliases
+ */
+function buildColumnMap(records, mapArgs) {
+  const columns = [...new Set(records.flatMap(r => Object.keys(r)))];
+  const columnMap = {};
+
+  for (const [field, aliases] of Object.entries(fieldAliases)) {
+    const column = columns.find(c => aliases.includes(c.toLowerCase().trim()));
+    if (column) columnMap[field] = column;
+  }
+
+  const overrides = mapArgs === undefined ? [] : (Array.isArray(mapArgs) ? mapArgs : [mapArgs]);
+  for (const mapping of overrides) {
+    const [field, ...rest] = mapping.split('=');
+    const column = rest.join('=').trim();
+    if (!fieldAliases[field] || !column) {
+      throw new Error(`Invalid --map '${mapping}'. Use field=Column with field one of: ${Object.keys(fieldAliases).join(', ')}`);
+    }
+    if (!columns.includes(column)) {
+      throw new Error(`Column '${column}' not found. Available columns: ${columns.join(', ')}`);
+    }
+    columnMap[field] = column;
+  }
+
+  return columnMap;
+}
+
+function getField(record, columnMap, field) {
+  const column = columnMap[field];
+  if (!column) return undefined;
+  const value = record[column];
+  if (value === null || value === undefined) return undefined;
+  if (Array.isArray(value)) return value;
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+}
+
+/**
+ * Attachment URL used to find an imported issue again on the next run
+ */
+function externalUrl(source, externalId) {
+  if (/^https?:\/\//i.test(externalId)) {
+    return externalId;
+  }
+  return `${source.replace(/\/+$/, '')}/${encodeURIComponent(externalId)}`;
+}
+
+async function findImportedIssue(url) {
+  const query = `
+    query AttachmentsForUrl($url: String!) {
+      attachmentsForURL(url: $url) {
+        nodes {
+          issue {
+            id
+            identifier
+            team {
+              id
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { url });
+  return data.attachmentsForURL.nodes[0]?.issue || null;
+}
+
+async function getIssue(issueId) {
+  const query = `
+    query GetIssue($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { id: issueId });
+  return data.issue;
+}
+
+async function createIssue(input) {
+  const mutation = `
+    mutation CreateIssue($input: IssueCreateInput!) {
+      issueCreate(input: $input) {
+        success
+        issue {
+          id
+          identifier
+          title
+          url
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { input });
+
+  if (!data.issueCreate.success) {
+    throw new Error('Failed to create issue');
+  }
+
+  return data.issueCreate.issue;
+}
+
+async function updateIssue(issueId, input) {
+  const mutation = `
+    mutation UpdateIssue($id: String!, $input: IssueUpdateInput!) {
+      issueUpdate(id: $id, input: $input) {
+        success
+        issue {
+          id
+          identifier
+          title
+          url
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id: issueId, input });
+
+  if (!data.issueUpdate.success) {
+    throw new Error('Failed to update issue');
+  }
+
+  return data.issueUpdate.issue;
+}
+
+async function linkExternalId(issueId, url, externalId) {
+  const mutation = `
+    mutation AttachmentCreate($input: AttachmentCreateInput!) {
+      attachmentCreate(input: $input) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, {
+    input: { issueId, url, title: `Imported from ${externalId}` }
+  });
+
+  if (!data.attachmentCreate.success) {
+    throw new Error('Failed to link external ID');
+  }
+}
+
+/**
+ * Memoize an async lookup by key so each team, user, project etc. is resolved once
+ */
+function cached(fn) {
+  const cache = new Map();
+  return (key, ...rest) => {
+    if (!cache.has(key)) {
+      cache.set(key, fn(key, ...rest));
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Validate a record and resolve its names to IDs
+ * @returns {Promise<{input: object, errors: string[]}>}
+ */
+async function resolveRecord(record, columnMap, defaults, lookups, externalIds) {
+  const errors = [];
+  const input = {};
+  const field = name => getField(record, columnMap, name);
+
+  const title = field('title');
+  if (title) {
+    input.title = title;
+  } else {
+    errors.push('title is required');
+  }
+
+  const description = field('description');
+  if (description) input.description = description;
+
+  const teamKey = field('team') || defaults.team;
+  let team = null;
+  if (!teamKey) {
+    errors.push('team is required (add a team column or pass --team)');
+  } else {
+    team = (await lookups.teams()).find(t => t.key.toLowerCase() === teamKey.toLowerCase());
+    if (team) {
+      input.teamId = team.id;
+    } else {
+      errors.push(`team '${teamKey}' not found`);
+    }
+  }
+
+  const projectName = field('project') || defaults.project;
+  if (projectName && team) {
+    const project = await lookups.project(`${team.id}:${projectName.toLowerCase()}`, team.id, projectName);
+    if (project) {
+      input.projectId = project.id;
+    } else {
+      errors.push(`project '${projectName}' not found for team '${team.key}'`);
+    }
+  }
+
+  const assignee = field('assignee');
+  if (assignee) {
+    const userId = await lookups.user(assignee.toLowerCase());
+    if (userId) {
+      input.assigneeId = userId;
+    } else {
+      errors.push(`user with email '${assignee}' not found`);
+    }
+  }
+
+  const priority = field('priority');
+  if (priority !== undefined) {
+    const value = /^[0-4]$/.test(priority) ? parseInt(priority) : priorities[priority.toLowerCase()];
+    if (value === undefined) {
+      errors.push(`invalid priority '${priority}' (use urgent, high, medium, low, none or 0-4)`);
+    } else {
+      input.priority = value;
+    }
+  }
+
+  const labels = field('labels');
+  if (labels && team) {
+    const labelNames = (Array.isArray(labels) ? labels : labels.split(/[,;]/)).map(l => String(l).trim()).filter(Boolean);
+    try {
+      const resolved = await resolveLabels(team.id, labelNames, await lookups.labels(team.id));
+      input.labelIds = resolved.map(l => l.id);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const estimate = field('estimate');
+  if (estimate !== undefined) {
+    const value = Number(estimate);
+    if (Number.isInteger(value) && value >= 0) {
+      input.estimate = value;
+    } else {
+      errors.push(`invalid estimate '${estimate}'`);
+    }
+  }
+
+  const dueDate = field('dueDate');
+  if (dueDate) {
+    // Other formats like 03/05/2026 are parsed as local dates, so keep them in local time too
+    const date = new Date(dueDate);
+    const parsed = parseDate(dueDate) || (isNaN(date.getTime()) ? null : toDateString(date));
+    if (!parsed) {
+      errors.push(`invalid due date '${dueDate}'`);
+    } else {
+      input.dueDate = parsed;
+    }
+  }
+
+  // Parent is either another row's external ID or an existing Linear issue
+  const parent = field('parent');
+  let parentRef = null;
+  if (parent) {
+    if (externalIds.has(parent)) {
+      parentRef = parent;
+    } else {
+      // An unknown identifier is a GraphQL error; report it on this row like any other problem
+      const parentIssue = await lookups.issue(parent).catch(() => null);
+      if (parentIssue) {
+        input.parentId = parentIssue.id;
+      } else {
+        errors.push(`parent '${parent}' is neither an external ID in this file nor a Linear issue`);
+      }
+    }
+  }
+
+  return { input, parentRef, errors };
+}
+
+/**
+ * Order rows so that parents defined in the file come before their children
+ */
+function orderByParent(rows) {
+  const byExternalId = new Map(rows.filter(r => r.externalId).map(r => [r.externalId, r]));
+  const ordered = [];
+  const state = new Map();
+
+  const visit = (row) => {
+    if (state.get(row) === 'done') return;
+    if (state.get(row) === 'visiting') {
+      throw new Error(`Parent cycle involving row ${row.line} (${row.externalId})`);
+    }
+    state.set(row, 'visiting');
+    if (row.parentRef) visit(byExternalId.get(row.parentRef));
+    state.set(row, 'done');
+    ordered.push(row);
+  };
+
+  rows.forEach(visit);
+  return ordered;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const filePath = args._positional?.[0];
+
+  if (!filePath) {
+    console.error('Usage: ./import-issues.js <file.csv|file.jsonl> [options]');
+    console.error('');
+    console.error('Options:');
+    console.error('  --dry-run              Validate and show what would be created or updated');
+    console.error('  --team <key>           Team for rows without a team column');
+    console.error('  --project <name>       Project for rows without a project column');
+    console.error('  --map field=Column     Map a column to a field (can be used multiple times)');
+    console.error('  --source <url>         Base URL for external IDs, required unless they are URLs');
+    console.error('');
+    console.error(`Fields: ${Object.keys(fieldAliases).join(', ')}`);
+    console.error('');
+    console.error('Example: ./import-issues.js backlog.csv --team ENG --dry-run');
+    process.exit(1);
+  }
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      console.error(`File not found: ${filePath}`);
+      process.exit(1);
+    }
+
+    const records = readRecords(filePath);
+
+    // With --json, stdout carries only the JSON and progress goes to stderr
+    const log = args.json ? console.error : console.log;
+
+    if (records.length === 0) {
+      log('No rows to import');
+      if (args.json) {
+        formatOutput([], 'json');
+      }
+      return;
+    }
+
+    const columnMap = buildColumnMap(records, args.map);
+
+    // External IDs are only unique within the system they come from, and that has to stay the
+    // same between runs; a default based on the file name would duplicate a renamed export
+    const source = typeof args.source === 'string' ? args.source : null;
+    const needsSource = records.some(r => {
+      const externalId = getField(r, columnMap, 'externalId');
+      return externalId && !/^https?:\/\//i.test(String(externalId));
+    });
+    if (needsSource && !source) {
+      throw new Error(`--source is required with external IDs (column '${columnMap.externalId}'). Name the system they come from, e.g. --source https://jira.example.com/browse, and use the same value on every run`);
+    }
+    const defaults = {
+      team: typeof args.team === 'string' ? args.team : undefined,
+      project: typeof args.project === 'string' ? args.project : undefined
+    };
+
+    log(`📥 Importing ${records.length} rows from ${filePath}`);
+    log(`Columns: ${Object.entries(columnMap).map(([field, column]) => `${column} → ${field}`).join(', ')}`);
+    if (!columnMap.externalId) {
+      log('⚠️  No external ID column: re-running this import will create duplicates');
+    }
+    log('');
+
+    let teams = null;
+    const lookups = {
+      teams: async () => (teams = teams || await getTeams()),
+      project: cached((key, teamId, name) => findTeamProject(teamId, name)),
+      user: cached(email => getUserId(email)),
+      labels: cached(teamId => getLabels(teamId)),
+      issue: cached(id => getIssue(id)),
+      existing: cached(url => findImportedIssue(url))
+    };
+
+    // Validation pass: resolve every row before writing anything
+    const externalIds = new Set(records.map(r => getField(r, columnMap, 'externalId')).filter(Boolean).map(String));
+    const rows = [];
+    const seen = new Set();
+    let invalid = 0;
+
+    for (const [index, record] of records.entries()) {
+      const line = index + 1;
+      const externalId = getField(record, columnMap, 'externalId');
+      const { input, parentRef, errors } = await resolveRecord(record, columnMap, defaults, lookups, externalIds);
+
+      if (externalId) {
+        if (seen.has(String(externalId))) {
+          errors.push(`duplicate external ID '${externalId}'`);
+        }
+        seen.add(String(externalId));
+      }
+
+      let existing = null;
+      if (externalId && errors.length === 0) {
+        existing = await lookups.existing(externalUrl(source, String(externalId)));
+      }
+
+      if (errors.length > 0) {
+        invalid++;
+        console.error(`❌ Row ${line}${externalId ? ` (${externalId})` : ''}: ${errors.join('; ')}`);
+      }
+
+      rows.push({ line, externalId: externalId && String(externalId), input, parentRef, existing, errors });
+    }
+
+    if (invalid > 0) {
+      console.error(`\n${invalid} of ${rows.length} rows are invalid. Fix them and re-run.`);
+      process.exit(1);
+    }
+
+    const ordered = orderByParent(rows);
+
+    if (args['dry-run']) {
+      ordered.forEach(row => {
+        const action = row.existing ? `🔄 Update ${row.existing.identifier}` : '➕ Create';
+        log(`${action}: ${row.input.title}${row.parentRef ? ` (sub-issue of ${row.parentRef})` : ''}`);
+      });
+      const updates = ordered.filter(r => r.existing).length;
+      log(`\n🔍 Dry run - all ${rows.length} rows are valid: ${rows.length - updates} to create, ${updates} to update`);
+      if (args.json) {
+        formatOutput(ordered.map(({ line, externalId, input, parentRef, existing }) => ({ line, externalId, action: existing ? 'update' : 'create', issue: existing?.identifier, input, parentRef })), 'json');
+      }
+      return;
+    }
+
+    // Linear issue IDs by external ID, filled in as rows are written
+    const issueIds = new Map(ordered.filter(r => r.existing).map(r => [r.externalId, r.existing.id]));
+    const results = [];
+
+    for (const row of ordered) {
+      const input = { ...row.input };
+      if (row.parentRef) {
+        input.parentId = issueIds.get(row.parentRef);
+        if (!input.parentId) {
+          console.error(`❌ Row ${row.line}: parent ${row.parentRef} was not imported`);
+          results.push({ line: row.line, externalId: row.externalId, success: false, error: 'parent not imported' });
+          continue;
+        }
+      }
+
+      try {
+        let issue;
+        if (row.existing) {
+          // Moving issues between teams is left to update-issue.js
+          if (row.existing.team.id !== input.teamId) {
+            log(`⚠️  Row ${row.line}: ${row.existing.identifier} is in a different team; team not changed`);
+          }
+          delete input.teamId;
+          issue = await updateIssue(row.existing.id, input);
+          log(`🔄 Updated ${issue.identifier} - ${issue.title}`);
+        } else {
+          const states = await getWorkflowStates(input.teamId);
+          const defaultState = states.find(s => s.type === 'unstarted') || states[0];
+          issue = await createIssue({ ...input, stateId: defaultState.id });
+          if (row.externalId) {
+            await linkExternalId(issue.id, externalUrl(source, row.externalId), row.externalId);
+          }
+          log(`➕ Created ${issue.identifier} - ${issue.title}`);
+        }
+
+        if (row.externalId) issueIds.set(row.externalId, issue.id);
+        results.push({ line: row.line, externalId: row.externalId, action: row.existing ? 'updated' : 'created', success: true, identifier: issue.identifier, url: issue.url });
+      } catch (error) {
+        console.error(`❌ Row ${row.line}: ${error.message}`);
+        results.push({ line: row.line, externalId: row.externalId, success: false, error: error.message });
+      }
+    }
+
+    const created = results.filter(r => r.action === 'created').length;
+    const updated = results.filter(r => r.action === 'updated').length;
+    const failed = results.filter(r => !r.success).length;
+
+    if (args.json) {
+      formatOutput(results, 'json');
+    } else {
+      console.log(`\n✅ Import finished: ${created} created, ${updated} updated${failed > 0 ? `, ${failed} failed` : ''}`);
+    }
+
+    if (failed > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
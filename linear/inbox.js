@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * List and triage your Linear inbox: mentions, assignments, comments, status changes
+ *
+ * Notifications are referred to by ID or by issue identifier (ENG-123 means all of that
+ * issue's notifications). Without a reference, actions apply to every notification listed.
+ *
+ * Usage:
+ *   ./inbox.js                                  # Inbox, newest first (default: 50)
+ *   ./inbox.js --unread                         # Only unread notifications
+ *   ./inbox.js --type mention                   # mention, assigned, comment, status, reaction, due
+ *   ./inbox.js --snoozed                        # Snoozed notifications instead of the inbox
+ *   ./inbox.js --mark-read ENG-123              # Mark an issue's notifications read
+ *   ./inbox.js --unread --type comment --mark-read   # Mark everything listed read
+ *   ./inbox.js --snooze ENG-123 --until "next monday"   # Until 9:00 that day (default: tomorrow)
+ *   ./inbox.js --archive NOTIFICATION_ID        # Archive (remove from the inbox)
+ *   ./inbox.js --all                            # Whole inbox
+ *   ./inbox.js --json                           # JSON output
+ */
+
+import { makeRequest, paginate, getLimit, parseArgs, formatOutput, formatDate } from './linear-api.js';
+import { parseDate } from './dates.js';
+
+// --type names and the Linear notification types they cover
+const NOTIFICATION_TYPES = {
+  mention: ['issueMention', 'issueCommentMention', 'projectUpdateMentionPrompt'],
+  assigned: ['issueAssignedToYou', 'issueUnassignedFromYou'],
+  comment: ['issueNewComment', 'issueCommentMention'],
+  status: ['issueStatusChanged', 'issueStatusChangedAll'],
+  reaction: ['issueCommentReaction', 'issueEmojiReaction'],
+  due: ['issueDue']
+};
+
+const DESCRIPTIONS = {
+  issueMention: 'mentioned you',
+  issueCommentMention: 'mentioned you in a comment',
+  issueAssignedToYou: 'assigned you',
+  issueUnassignedFromYou: 'unassigned you',
+  issueNewComment: 'commented',
+  issueStatusChanged: 'changed the status',
+  issueStatusChangedAll: 'changed the status',
+  issueCommentReaction: 'reacted to your comment',
+  issueEmojiReaction: 'reacted to the issue',
+  issueDue: 'is due soon',
+  issueCreated: 'created the issue',
+  issueBlocking: 'marked it as blocking',
+  issueSubscribed: 'subscribed you',
+  issuePriorityUrgent: 'set it to urgent',
+  projectUpdateCreated: 'posted a project update',
+  projectUpdateMentionPrompt: 'mentioned you in a project update'
+};
+
+// Fall back to Linear's type name in words: issueReminder becomes "issue reminder"
+function describeType(type) {
+  return DESCRIPTIONS[type] || type.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+async function getNotifications() {
+  const query = `
+    query GetNotifications($first: Int!, $after: String) {
+      notifications(first: $first, after: $after) {
+        nodes {
+          id
+          type
+          createdAt
+          readAt
+          snoozedUntilAt
+          actor {
+            name
+          }
+          ... on IssueNotification {
+            issue {
+              identifier
+              title
+              url
+              state {
+                name
+              }
+            }
+            comment {
+              body
+            }
+          }
+          ... on ProjectNotification {
+            project {
+              name
+              url
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const notifications = await paginate(query, {}, data => data.notifications);
+  return notifications.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function updateNotification(id, input) {
+  const mutation = `
+    mutation NotificationUpdate($id: String!, $input: NotificationUpdateInput!) {
+      notificationUpdate(id: $id, input: $input) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id, input });
+  if (!data.notificationUpdate.success) {
+    throw new Error(`Failed to update notification ${id}`);
+  }
+}
+
+async function archiveNotification(id) {
+  const mutation = `
+    mutation NotificationArchive($id: String!) {
+      notificationArchive(id: $id) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id });
+  if (!data.notificationArchive.success) {
+    throw new Error(`Failed to archive notification ${id}`);
+  }
+}
+
+/**
+ * Filter notifications by --unread, --snoozed and --type
+ */
+function filterNotifications(notifications, args, now = new Date()) {
+  const snoozed = n => n.snoozedUntilAt && new Date(n.snoozedUntilAt) > now;
+  let filtered = notifications.filter(n => args.snoozed ? snoozed(n) : !snoozed(n));
+
+  if (args.unread) {
+    filtered = filtered.filter(n => !n.readAt);
+  }
+
+  if (args.type) {
+    const types = [args.type].flat().map(String).flatMap(name => {
+      if (NOTIFICATION_TYPES[name.toLowerCase()]) {
+        return NOTIFICATION_TYPES[name.toLowerCase()];
+      }
+      // Linear's own type names (e.g. issueBlocking) work too
+      if (/^[a-z]+[A-Z]/.test(name)) {
+        return [name];
+      }
+      throw new Error(`Unknown --type '${name}'. Use ${Object.keys(NOTIFICATION_TYPES).join(', ')} or a Linear type like issueBlocking`);
+    });
+    filtered = filtered.filter(n => types.includes(n.type));
+  }
+
+  return filtered;
+}
+
+/**
+ * Notifications an action refers to: IDs or issue identifiers, or everything listed for `true`
+ */
+function selectNotifications(refs, notifications, listed) {
+  if (refs === true) {
+    return listed;
+  }
+
+  return [refs].flat().map(String).flatMap(ref => {
+    const matches = /^[a-z]+-\d+$/i.test(ref)
+      ? notifications.filter(n => n.issue?.identifier.toLowerCase() === ref.toLowerCase())
+      : notifications.filter(n => n.id === ref);
+    if (matches.length === 0) {
+      throw new Error(`No notification found for '${ref}' in your inbox`);
+    }
+    return matches;
+  });
+}
+
+/**
+ * Parse --until into the moment a snooze ends: 9:00 local time on that day
+ */
+function parseSnoozeUntil(value) {
+  const date = parseDate(typeof value === 'string' ? value : 'tomorrow');
+  if (!date) {
+    throw new Error(`Invalid --until '${value}'. Use YYYY-MM-DD or a phrase like "tomorrow", "monday" or "in 3 days"`);
+  }
+  const until = new Date(`${date}T09:00:00`);
+  if (until <= new Date()) {
+    throw new Error(`--until ${date} is in the past`);
+  }
+  return until;
+}
+
+function notificationSubject(notification) {
+  if (notification.issue) {
+    return `${notification.issue.identifier} ${notification.issue.title}`;
+  }
+  if (notification.project) {
+    return `Project: ${notification.project.name}`;
+  }
+  return notification.type;
+}
+
+function printNotification(notification) {
+  const description = describeType(notification.type);
+  const marker = notification.readAt ? '  ' : '🔵';
+
+  console.log(`${marker} ${notificationSubject(notification)}`);
+  let line = `   ${notification.actor ? `${notification.actor.name} ` : ''}${description}`;
+  if (notification.type.startsWith('issueStatusChanged') && notification.issue?.state) {
+    line += ` → ${notification.issue.state.name}`;
+  }
+  console.log(`${line} · ${formatDate(notification.createdAt)}`);
+  if (notification.comment?.body) {
+    const firstLine = notification.comment.body.split('\n').find(l => l.trim()) || '';
+    console.log(`   💬 ${firstLine.length > 100 ? `${firstLine.slice(0, 100)}…` : firstLine}`);
+  }
+  if (notification.snoozedUntilAt && new Date(notification.snoozedUntilAt) > new Date()) {
+    console.log(`   💤 Snoozed until ${formatDate(notification.snoozedUntilAt)}`);
+  }
+  console.log(`   ID: ${notification.id}`);
+  console.log('');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const limit = getLimit(args, 50);
+    const notifications = await getNotifications();
+    const listed = filterNotifications(notifications, args).slice(0, limit);
+
+    // Mark read, snooze or archive
+    const flag = ['mark-read', 'snooze', 'archive'].find(f => args[f]);
+    if (flag) {
+      let apply;
+      let done;
+      let note = '';
+      if (flag === 'mark-read') {
+        const readAt = new Date().toISOString();
+        apply = n => updateNotification(n.id, { readAt });
+        done = 'Marked read';
+      } else if (flag === 'snooze') {
+        const until = parseSnoozeUntil(args.until);
+        apply = n => updateNotification(n.id, { snoozedUntilAt: until.toISOString() });
+        done = 'Snoozed';
+        note = ` until ${formatDate(until.toISOString())}`;
+      } else {
+        // Emptying the whole inbox by accident is hard to undo
+        if (args.archive === true && !args.unread && !args.type && !args.snoozed) {
+          throw new Error('Give --archive a notification ID or issue, or narrow the list with --unread or --type');
+        }
+        apply = n => archiveNotification(n.id);
+        done = 'Archived';
+      }
+
+      // Marking read only needs to touch unread ones
+      const targets = selectNotifications(args[flag], notifications, listed)
+        .filter(n => flag !== 'mark-read' || !n.readAt);
+
+      for (const notification of targets) {
+        await apply(notification);
+      }
+
+      if (args.json) {
+        formatOutput({ action: flag, ids: targets.map(n => n.id) }, 'json');
+      } else if (targets.length === 0) {
+        console.log('Nothing to do: no matching notifications');
+      } else {
+        console.log(`✅ ${done} ${targets.length} notification${targets.length === 1 ? '' : 's'}${note}`);
+        targets.forEach(n => console.log(`   ${notificationSubject(n)} (${describeType(n.type)})`));
+      }
+      return;
+    }
+
+    // List notifications
+    if (args.json) {
+      formatOutput(listed, 'json');
+      return;
+    }
+
+    const unread = notifications.filter(n => !n.readAt && !(n.snoozedUntilAt && new Date(n.snoozedUntilAt) > new Date())).length;
+    console.log(`Inbox: ${unread} unread, showing ${listed.length}${args.snoozed ? ' snoozed' : ''}\n`);
+
+    if (listed.length === 0) {
+      console.log(args.unread || args.type ? 'No matching notifications.' : 'Nothing in your inbox.');
+      return;
+    }
+
+    listed.forEach(printNotification);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,463 @@
+/**
+ * Issue query language
+ * Compiles queries such as
+ *   assignee:me status:started,todo label:bug priority<=2 updated>7d project:"RSG Challenges" -label:wontfix
+ * into a Linear IssueFilter object.
+ *
+ * Syntax:
+ *   field:value           Match (comma-separated values match any of them)
+ *   field<N, field>=N     Compare numbers (priority, estimate) and dates
+ *   -term, NOT term       Negate
+ *   a OR b, (a b)         Terms are ANDed by default; OR and parentheses group
+ *   word, "some phrase"   Free text in the title, description or comments
+ */
+
+const STATE_TYPES = {
+  'triage': 'triage',
+  'backlog': 'backlog',
+  'todo': 'unstarted',
+  'unstarted': 'unstarted',
+  'started': 'started',
+  'in_progress': 'started',
+  'inprogress': 'started',
+  'done': 'completed',
+  'completed': 'completed',
+  'canceled': 'canceled',
+  'cancelled': 'canceled'
+};
+
+const PRIORITIES = {
+  'none': 0,
+  'urgent': 1,
+  'high': 2,
+  'medium': 3,
+  'low': 4
+};
+
+// Query field -> IssueFilter date field
+const DATE_FIELDS = {
+  'created': 'createdAt',
+  'updated': 'updatedAt',
+  'started': 'startedAt',
+  'completed': 'completedAt',
+  'canceled': 'canceledAt',
+  'due': 'dueDate'
+};
+
+const FIELD_ALIASES = {
+  'status': 'state',
+  'labels': 'label',
+  'author': 'creator'
+};
+
+const IS_VALUES = {
+  'blocked': { hasBlockedByRelations: { eq: true } },
+  'blocking': { hasBlockingRelations: { eq: true } },
+  'assigned': { assignee: { null: false } },
+  'unassigned': { assignee: { null: true } },
+  'child': { parent: { null: false } },
+  'open': { state: { type: { nin: ['completed', 'canceled'] } } },
+  'closed': { state: { type: { in: ['completed', 'canceled'] } } }
+};
+
+export const QUERY_FIELDS = [
+  'assignee', 'creator', 'status', 'label', 'priority', 'estimate', 'project', 'team', 'cycle', 'parent',
+  'title', 'description', 'is', ...Object.keys(DATE_FIELDS)
+];
+
+// Comparator operators and their negations
+const COMPARATOR_NEGATIONS = {
+  'eq': 'neq',
+  'neq': 'eq',
+  'in': 'nin',
+  'nin': 'in',
+  'eqIgnoreCase': 'neqIgnoreCase',
+  'neqIgnoreCase': 'eqIgnoreCase',
+  'contains': 'notContains',
+  'notContains': 'contains',
+  'containsIgnoreCase': 'notContainsIgnoreCase',
+  'notContainsIgnoreCase': 'containsIgnoreCase',
+  'lt': 'gte',
+  'gte': 'lt',
+  'lte': 'gt',
+  'gt': 'lte'
+};
+
+// Fields that can be empty, so "not X" also has to match issues without a value
+const NULLABLE_FIELDS = [
+  'assignee', 'creator', 'project', 'cycle', 'parent',
+  'estimate', 'dueDate', 'startedAt', 'completedAt', 'canceledAt'
+];
+
+const OPERATORS = { ':': 'eq', '=': 'eq', '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isComparator(value) {
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(k => k === 'null' || k in COMPARATOR_NEGATIONS);
+}
+
+/**
+ * Negate a filter, pushing NOT down to the comparators (IssueFilter has no `not`)
+ */
+function negateFilter(filter) {
+  const parts = Object.entries(filter).map(([key, value]) => negateEntry(key, value));
+  return parts.length === 1 ? parts[0] : { or: parts };
+}
+
+function negateEntry(key, value) {
+  if (key === 'and') return { or: value.map(negateFilter) };
+  if (key === 'or') return { and: value.map(negateFilter) };
+
+  if (isComparator(value)) {
+    const parts = Object.entries(value).map(([op, operand]) =>
+      ({ [key]: op === 'null' ? { null: !operand } : { [COMPARATOR_NEGATIONS[op]]: operand } })
+    );
+    if (NULLABLE_FIELDS.includes(key) && !('null' in value)) {
+      parts.unshift({ [key]: { null: true } });
+    }
+    return parts.length === 1 ? parts[0] : { or: parts };
+  }
+
+  // Collections: "not any label is X" is "every label is not X"
+  if (value.some) return { [key]: { every: negateFilter(value.some) } };
+  if (value.every) return { [key]: { some: negateFilter(value.every) } };
+
+  if (NULLABLE_FIELDS.includes(key)) {
+    return { or: [{ [key]: { null: true } }, { [key]: negateFilter(value) }] };
+  }
+  return { [key]: negateFilter(value) };
+}
+
+function anyOf(values, compile) {
+  const filters = values.map(compile);
+  return filters.length === 1 ? filters[0] : { or: filters };
+}
+
+function allOf(filters) {
+  return filters.length === 1 ? filters[0] : { and: filters };
+}
+
+function userFilter(value) {
+  if (value.toLowerCase() === 'me') return { isMe: { eq: true } };
+  if (value.includes('@')) return { email: { eqIgnoreCase: value } };
+  return { or: [{ displayName: { eqIgnoreCase: value } }, { name: { containsIgnoreCase: value } }] };
+}
+
+/**
+ * Turn a relative date (7d, 2w, 3m, 1y, 12h, optionally signed) or ISO date into a
+ * Linear DateTimeOrDuration. Unsigned durations point to the past, except for due dates.
+ */
+function dateValue(field, value) {
+  const relative = value.match(/^([+-])?(\d+)([hdwmy])$/i);
+  if (relative) {
+    const [, sign, amount, unit] = relative;
+    const future = sign ? sign === '+' : field === 'due';
+    const duration = unit.toLowerCase() === 'h' ? `PT${amount}H` : `P${amount}${unit.toUpperCase()}`;
+    return `${future ? '' : '-'}${duration}`;
+  }
+
+  const keywords = { today: 0, yesterday: -1, tomorrow: 1 };
+  if (value.toLowerCase() in keywords) {
+    const date = new Date();
+    date.setDate(date.getDate() + keywords[value.toLowerCase()]);
+    return date.toISOString().slice(0, 10);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime())) {
+    return value;
+  }
+
+  throw new Error(`Invalid date '${value}' for ${field}. Use e.g. 7d, 2w, 3m, 1y, 12h or YYYY-MM-DD`);
+}
+
+function compileDate(field, op, value) {
+  const key = DATE_FIELDS[field];
+
+  if (value.toLowerCase() === 'none') {
+    if (op !== 'eq') throw new Error(`'none' can't be compared: use ${field}:none`);
+    return { [key]: { null: true } };
+  }
+
+  const date = dateValue(field, value);
+  if (op !== 'eq') {
+    return { [key]: { [op]: date } };
+  }
+
+  // field:7d means "since 7 days ago" (or "within 7 days" for due); field:YYYY-MM-DD means that day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    if (field === 'due') return { [key]: { eq: date } };
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return { [key]: { gte: date, lt: next.toISOString().slice(0, 10) } };
+  }
+  return field === 'due' ? { [key]: { lte: date } } : { [key]: { gte: date } };
+}
+
+function priorityNumber(value) {
+  const priority = value.toLowerCase() in PRIORITIES ? PRIORITIES[value.toLowerCase()] : Number(value);
+  if (!Number.isInteger(priority) || priority < 0 || priority > 4) {
+    throw new Error(`Invalid priority '${value}'. Use urgent, high, medium, low, none or 0-4`);
+  }
+  return priority;
+}
+
+function compilePriority(op, values) {
+  if (op === 'eq') {
+    const priorities = values.map(priorityNumber);
+    return { priority: priorities.length === 1 ? { eq: priorities[0] } : { in: priorities } };
+  }
+
+  // Lower numbers are more urgent, and "none" (0) ranks below low (4)
+  const priority = priorityNumber(values[0]);
+  const bounds = {
+    lt: { gte: 1, lt: priority },
+    lte: { gte: 1, lte: priority },
+    gt: { gt: priority },
+    gte: { gte: priority }
+  };
+  if (priority === 0) {
+    // Nothing is less urgent than none, and everything is at least as urgent as none
+    return op === 'lt' || op === 'gte' ? { priority: { gte: 0 } } : op === 'lte' ? { priority: { eq: 0 } } : { priority: { lt: 0 } };
+  }
+  const filter = { priority: bounds[op] };
+  return op === 'gt' || op === 'gte' ? { or: [filter, { priority: { eq: 0 } }] } : filter;
+}
+
+function compileCycle(value) {
+  const cycleFilters = {
+    'current': { isActive: { eq: true } },
+    'next': { isNext: { eq: true } },
+    'previous': { isPrevious: { eq: true } }
+  };
+  const cycleRef = value.toLowerCase();
+
+  if (cycleRef === 'none') return { cycle: { null: true } };
+  if (cycleFilters[cycleRef]) return { cycle: cycleFilters[cycleRef] };
+  if (/^\d+$/.test(cycleRef)) return { cycle: { number: { eq: parseInt(cycleRef) } } };
+  throw new Error(`Invalid cycle '${value}'. Use current, next, previous, none or a cycle number`);
+}
+
+function compileLabel(value) {
+  const [group, name] = value.includes('/') ? value.split('/').map(s => s.trim()) : [null, value];
+  const label = { name: { eqIgnoreCase: name } };
+  if (group) label.parent = { name: { eqIgnoreCase: group } };
+  return { labels: { some: label } };
+}
+
+/**
+ * Compile one field:value term into an IssueFilter
+ * @param {string} name - Query field (e.g. 'status', 'assignee', 'updated')
+ * @param {string} value - Value, or comma-separated values for ':'
+ * @param {string} operator - One of ':', '=', '<', '<=', '>', '>='
+ * @returns {object} - IssueFilter
+ */
+export function compileIssueTerm(name, value, operator = ':') {
+  const field = FIELD_ALIASES[name.toLowerCase()] || name.toLowerCase();
+  const op = OPERATORS[operator];
+  const values = splitValues(value);
+
+  if (values.length === 0) {
+    throw new Error(`Missing value for '${name}${operator}'`);
+  }
+
+  if (field in DATE_FIELDS) {
+    return anyOf(values, v => compileDate(field, op, v));
+  }
+  if (field === 'priority') {
+    return compilePriority(op, values);
+  }
+  if (field === 'estimate') {
+    const numbers = values.map(v => {
+      if (v.toLowerCase() === 'none') return null;
+      if (isNaN(Number(v))) throw new Error(`Invalid estimate '${v}'`);
+      return Number(v);
+    });
+    if (op !== 'eq') return { estimate: { [op]: numbers[0] } };
+    return anyOf(numbers, n => ({ estimate: n === null ? { null: true } : { eq: n } }));
+  }
+
+  if (op !== 'eq') {
+    throw new Error(`'${name}' doesn't support ${operator}; only dates, priority and estimate can be compared`);
+  }
+
+  switch (field) {
+    case 'assignee':
+    case 'creator':
+      return anyOf(values, v => ({ [field]: v.toLowerCase() === 'none' ? { null: true } : userFilter(v) }));
+    case 'state':
+      return anyOf(values, v => {
+        const type = STATE_TYPES[v.toLowerCase().replace(/[\s-]/g, '_')];
+        return { state: type ? { type: { eq: type } } : { name: { eqIgnoreCase: v } } };
+      });
+    case 'label':
+      return anyOf(values, compileLabel);
+    case 'project':
+      return anyOf(values, v => ({
+        project: v.toLowerCase() === 'none' ? { null: true } : UUID.test(v) ? { id: { eq: v } } : { name: { eqIgnoreCase: v } }
+      }));
+    case 'team':
+      return anyOf(values, v => ({ team: UUID.test(v) ? { id: { eq: v } } : { key: { eqIgnoreCase: v } } }));
+    case 'cycle':
+      return anyOf(values, compileCycle);
+    case 'parent':
+      return anyOf(values, v => {
+        if (v.toLowerCase() === 'none') return { parent: { null: true } };
+        const match = v.match(/^([A-Za-z0-9]+)-(\d+)$/);
+        if (!match) throw new Error(`Invalid parent '${v}'. Use an issue identifier like ENG-123 or none`);
+        return { parent: { team: { key: { eqIgnoreCase: match[1] } }, number: { eq: parseInt(match[2]) } } };
+      });
+    case 'title':
+    case 'description':
+      return anyOf(values, v => ({ [field]: { containsIgnoreCase: v } }));
+    case 'is':
+      return anyOf(values, v => {
+        const filter = IS_VALUES[v.toLowerCase()];
+        if (!filter) throw new Error(`Invalid is:${v}. Use ${Object.keys(IS_VALUES).join(', ')}`);
+        return filter;
+      });
+    default:
+      throw new Error(`Unknown field '${name}'. Fields: ${QUERY_FIELDS.join(', ')}`);
+  }
+}
+
+/**
+ * Split a value on commas outside quotes and strip the quotes
+ */
+function splitValues(value) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of value) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+
+  return values.map(v => v.trim()).filter(Boolean);
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      tokens.push({ type: 'not' });
+      i++;
+    } else {
+      // Read a word; quoted sections may contain spaces and parentheses
+      let word = '';
+      let inQuotes = false;
+      while (i < text.length && (inQuotes || !/[\s()]/.test(text[i]))) {
+        if (text[i] === '"') inQuotes = !inQuotes;
+        word += text[i];
+        i++;
+      }
+      if (inQuotes) {
+        throw new Error(`Unterminated quote in '${word}'`);
+      }
+
+      const term = word.match(/^([a-zA-Z_]+)(<=|>=|<|>|:|=)(.*)$/);
+      if (word === 'OR' || word === 'AND' || word === 'NOT') {
+        tokens.push({ type: word.toLowerCase() });
+      } else if (term) {
+        tokens.push({ type: 'term', field: term[1], operator: term[2], value: term[3] });
+      } else {
+        tokens.push({ type: 'text', value: word.replace(/^"|"$/g, '') });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into an IssueFilter
+ * @param {string} text - Query text
+ * @returns {object|null} - IssueFilter, or null for an empty query
+ */
+export function parseIssueQuery(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const filters = [parseAnd()];
+    while (peek()?.type === 'or') {
+      position++;
+      filters.push(parseAnd());
+    }
+    return filters.length === 1 ? filters[0] : { or: filters };
+  };
+
+  const parseAnd = () => {
+    const filters = [];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      if (peek().type === 'and') {
+        position++;
+        continue;
+      }
+      filters.push(parseUnary());
+    }
+    if (filters.length === 0) {
+      throw new Error('Expected a search term');
+    }
+    return allOf(filters);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new Error('Query ends unexpectedly');
+    position++;
+
+    if (token.type === 'not') return negateFilter(parseUnary());
+    if (token.type === '(') {
+      const filter = parseOr();
+      if (peek()?.type !== ')') throw new Error('Missing closing parenthesis');
+      position++;
+      return filter;
+    }
+    if (token.type === 'term') return compileIssueTerm(token.field, token.value, token.operator);
+    if (token.type === 'text') return { searchableContent: { contains: token.value } };
+    throw new Error(`Unexpected '${token.type === ')' ? ')' : token.type.toUpperCase()}'`);
+  };
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const filter = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position].type}'`);
+  }
+  return filter;
+}
+
+/**
+ * Rebuild query text from shell arguments, re-quoting values the shell unquoted
+ * (so `project:"RSG Challenges"` survives as one argument).
+ */
+export function queryFromArgs(argv) {
+  return argv.map(arg => {
+    if (!/\s/.test(arg)) return arg;
+    const term = arg.match(/^(-?[a-zA-Z_]+)(<=|>=|<|>|:|=)(.*)$/s);
+    return term ? `${term[1]}${term[2]}"${term[3]}"` : `"${arg}"`;
+  }).join(' ');
+}
@@ -10,187 +10,47 @@
  *   ./issues.js --assignee email           # Issues assigned to user
  *   ./issues.js --project PROJECT_ID       # Issues in specific project
  *   ./issues.js --search "bug fix"         # Text search
- *   ./issues.js --limit 50                 # Limit results
+ *   ./issues.js --team ENG --cycle current # Issues in a cycle (current/next/previous/NUMBER)
+ *   ./issues.js --blocked                  # Issues blocked by another issue
+ *   ./issues.js 'assignee:me status:started,todo priority<=2 -label:wontfix'
+ *   ./issues.js --query 'label:bug (updated>7d OR priority:urgent)'
+ *   ./issues.js --limit 50                 # Limit results (default: 20)
+ *   ./issues.js --all                      # Fetch all matching issues
+ *   ./issues.js --search "login" --offline # Search the local mirror (run sync.js first)
  *   ./issues.js --json                     # JSON output
  */
 
-import { makeRequest, parseArgs, formatOutput, formatDate, formatPriority } from './linear-api.js';
-
-async function buildQuery(args) {
-  let filters = [];
-  let variables = {};
-  
-  if (args.team) {
-    filters.push('team: { key: { eq: $teamKey } }');
-    variables.teamKey = args.team;
-  }
-  
-  if (args.assignee) {
-    filters.push('assignee: { email: { eq: $assigneeEmail } }');
-    variables.assigneeEmail = args.assignee;
-  }
-  
-  if (args.project) {
-    filters.push('project: { id: { eq: $projectId } }');
-    variables.projectId = args.project;
-  }
-  
-  if (args.status) {
-    const statusMap = {
-      'backlog': 'backlog',
-      'todo': 'unstarted', 
-      'in_progress': 'started',
-      'done': 'completed',
-      'canceled': 'canceled'
-    };
-    const statusType = statusMap[args.status.toLowerCase()] || args.status;
-    filters.push('state: { type: { eq: $stateType } }');
-    variables.stateType = statusType;
-  }
-  
-  const filterString = filters.length > 0 ? `filter: { ${filters.join(', ')} }` : '';
-  
-  // Build order by clause - most recent first
-  const orderBy = 'orderBy: updatedAt';
-  
-  const limit = args.limit ? parseInt(args.limit) : 20;
-  
-  let searchQuery = '';
-  if (args.search) {
-    // For text search, we need to use a different approach
-    searchQuery = ', query: $searchText';
-    variables.searchText = args.search;
-  }
-  
-  const query = `
-    query GetIssues($first: Int!${Object.keys(variables).map(v => `, $${v}: String`).join('')}) {
-      issues(first: $first, ${filterString} ${orderBy}${searchQuery}) {
-        nodes {
-          id
-          identifier
-          title
-          description
-          priority
-          estimate
-          createdAt
-          updatedAt
-          dueDate
-          url
-          state {
-            name
-            type
-          }
-          assignee {
-            name
-            email
-          }
-          creator {
-            name
-            email
-          }
-          team {
-            key
-            name
-          }
-          project {
-            id
-            name
-          }
-          labels {
-            nodes {
-              name
-              color
-            }
-          }
-        }
-      }
-    }
-  `;
-  
-  variables.first = limit;
-  
-  return { query, variables };
-}
+import { paginate, getLimit, buildIssuesQuery, getIssueQueryText, parseArgs, printIssueList, ISSUE_LIST_FIELDS } from './linear-api.js';
+import { loadMirror, filterMirroredIssues, searchMirroredIssues, describeSyncAge } from './mirror.js';
 
 async function main() {
   const args = parseArgs(process.argv.slice(2));
   
   try {
-    const { query, variables } = await buildQuery(args);
-    const data = await makeRequest(query, variables);
-    const issues = data.issues.nodes;
+    let issues;
+    let offlineNote = '';
     
-    if (args.json) {
-      formatOutput(issues, 'json');
-      return;
-    }
-    
-    if (args.csv) {
-      const csvData = issues.map(issue => ({
-        identifier: issue.identifier,
-        title: issue.title,
-        status: issue.state.name,
-        priority: formatPriority(issue.priority),
-        assignee: issue.assignee?.email || 'Unassigned',
-        team: issue.team.key,
-        project: issue.project?.name || 'No Project',
-        created: formatDate(issue.createdAt),
-        updated: formatDate(issue.updatedAt)
-      }));
-      formatOutput(csvData, 'csv');
-      return;
-    }
-    
-    console.log(`Found ${issues.length} issues:\n`);
-    
-    issues.forEach(issue => {
-      const priorityEmoji = {
-        1: '🔥', // Urgent
-        2: '📍', // High
-        3: '📌', // Medium
-        4: '📎', // Low
-        0: '⚪'  // None
-      }[issue.priority] || '⚪';
-      
-      const statusEmoji = {
-        'backlog': '📋',
-        'unstarted': '⏳',
-        'started': '🚀',
-        'completed': '✅',
-        'canceled': '❌'
-      }[issue.state.type] || '📋';
-      
-      console.log(`${statusEmoji} ${priorityEmoji} ${issue.identifier} - ${issue.title}`);
-      console.log(`   Team: ${issue.team.key} (${issue.team.name})`);
-      console.log(`   Status: ${issue.state.name} | Priority: ${formatPriority(issue.priority)}`);
-      
-      if (issue.assignee) {
-        console.log(`   Assignee: ${issue.assignee.name} (${issue.assignee.email})`);
-      } else {
-        console.log(`   Assignee: Unassigned`);
+    if (args.offline) {
+      if (getIssueQueryText(args).trim()) {
+        throw new Error('Query syntax is not supported with --offline, use --team, --status, --assignee, --project, --cycle, --blocked and --search');
       }
       
-      if (issue.project) {
-        console.log(`   Project: ${issue.project.name}`);
-      }
-      
-      if (issue.estimate) {
-        console.log(`   Estimate: ${issue.estimate} points`);
-      }
-      
-      if (issue.dueDate) {
-        console.log(`   Due: ${formatDate(issue.dueDate)}`);
-      }
-      
-      if (issue.labels.nodes.length > 0) {
-        const labels = issue.labels.nodes.map(l => l.name).join(', ');
-        console.log(`   Labels: ${labels}`);
+      // Answer from the local mirror: filters first, then ranked full-text search
+      const mirror = loadMirror();
+      let matches = filterMirroredIssues(mirror.issues, args, mirror.users);
+      if (args.search) {
+        matches = searchMirroredIssues(matches, mirror.comments, args.search);
+      } else {
+        matches.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
       }
-      
-      console.log(`   Updated: ${formatDate(issue.updatedAt)}`);
-      console.log(`   URL: ${issue.url}`);
-      console.log('');
-    });
+      issues = matches.slice(0, getLimit(args, 20));
+      offlineNote = ` (offline, ${describeSyncAge(mirror.state)})`;
+    } else {
+      const { query, variables } = buildIssuesQuery(args, ISSUE_LIST_FIELDS);
+      issues = await paginate(query, variables, data => data.issues, { limit: getLimit(args, 20), pageSize: 50 });
+    }
+    
+    printIssueList(issues, args, `Found ${issues.length} issues${offlineNote}`);
     
   } catch (error) {
     console.error('Error:', error.message);
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * List, create and archive Linear issue labels
+ *
+ * Usage:
+ *   ./labels.js                                        # List all workspace labels
+ *   ./labels.js TEAM_KEY                               # Labels available to a team
+ *   ./labels.js --create "regression" --team ENG --color "#eb5757"
+ *   ./labels.js --create "Type" --group                # Create a workspace label group
+ *   ./labels.js --create "bug" --parent "Type"         # Create a label inside a group
+ *   ./labels.js --archive "wontfix" --team ENG         # Archive a label
+ *   ./labels.js --json                                 # JSON output
+ */
+
+import { makeRequest, parseArgs, formatOutput, getTeams, getLabels, resolveLabels } from './linear-api.js';
+
+async function createLabel(input) {
+  const mutation = `
+    mutation IssueLabelCreate($input: IssueLabelCreateInput!) {
+      issueLabelCreate(input: $input) {
+        success
+        issueLabel {
+          id
+          name
+          color
+          description
+          isGroup
+          parent {
+            name
+          }
+          team {
+            key
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { input });
+
+  if (!data.issueLabelCreate.success) {
+    throw new Error('Failed to create label');
+  }
+
+  return data.issueLabelCreate.issueLabel;
+}
+
+async function archiveLabel(labelId) {
+  const mutation = `
+    mutation IssueLabelArchive($id: String!) {
+      issueLabelArchive(id: $id) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id: labelId });
+
+  if (!data.issueLabelArchive.success) {
+    throw new Error('Failed to archive label');
+  }
+
+  return true;
+}
+
+function labelDisplayName(label) {
+  return label.parent ? `${label.parent.name}/${label.name}` : label.name;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const teamKey = args.team || args._positional?.[0];
+
+  try {
+    let team = null;
+
+    if (teamKey) {
+      const teams = await getTeams();
+      team = teams.find(t => t.key.toLowerCase() === teamKey.toLowerCase());
+
+      if (!team) {
+        console.error(`Team '${teamKey}' not found`);
+        console.error('Available teams:');
+        teams.forEach(t => console.error(`  ${t.key} - ${t.name}`));
+        process.exit(1);
+      }
+    }
+
+    // Create a label or label group
+    if (args.create) {
+      if (typeof args.create !== 'string') {
+        console.error('Label name required for --create');
+        console.error('Example: ./labels.js --create "regression" --team ENG --color "#eb5757"');
+        process.exit(1);
+      }
+
+      const input = { name: args.create };
+
+      if (team) {
+        input.teamId = team.id;
+      }
+
+      if (args.color) {
+        if (!/^#[0-9a-f]{6}$/i.test(args.color)) {
+          console.error(`Invalid color '${args.color}'. Use a hex color like "#eb5757"`);
+          process.exit(1);
+        }
+        input.color = args.color;
+      }
+
+      if (args.description) {
+        input.description = args.description;
+      }
+
+      if (args.group) {
+        input.isGroup = true;
+      }
+
+      if (args.parent) {
+        const labels = await getLabels(team?.id);
+        const group = labels.find(l => l.isGroup && l.name.toLowerCase() === args.parent.toLowerCase());
+        if (!group) {
+          console.error(`Label group '${args.parent}' not found`);
+          process.exit(1);
+        }
+        input.parentId = group.id;
+      }
+
+      const label = await createLabel(input);
+
+      if (args.json) {
+        formatOutput(label, 'json');
+      } else {
+        console.log(`\n✅ Label${label.isGroup ? ' group' : ''} created successfully!`);
+        console.log(`🏷️  ${labelDisplayName(label)} (${label.color})`);
+        console.log(`Scope: ${label.team ? `Team ${label.team.key}` : 'Workspace'}`);
+        console.log(`ID: ${label.id}`);
+      }
+      return;
+    }
+
+    // Archive a label
+    if (args.archive) {
+      if (typeof args.archive !== 'string') {
+        console.error('Label name required for --archive');
+        process.exit(1);
+      }
+
+      let label;
+      if (team) {
+        [label] = await resolveLabels(team.id, [args.archive]);
+      } else {
+        const labels = await getLabels();
+        label = labels.find(l => labelDisplayName(l).toLowerCase() === args.archive.toLowerCase()) ||
+          labels.find(l => l.name.toLowerCase() === args.archive.toLowerCase());
+        if (!label) {
+          console.error(`Label '${args.archive}' not found`);
+          process.exit(1);
+        }
+      }
+
+      console.log(`🗄️  Archiving label ${labelDisplayName(label)}...`);
+      await archiveLabel(label.id);
+      console.log(`✅ Label ${labelDisplayName(label)} archived successfully`);
+      return;
+    }
+
+    // List labels
+    const labels = await getLabels(team?.id);
+
+    if (args.json) {
+      formatOutput(labels, 'json');
+      return;
+    }
+
+    const teamFilter = team ? ` for team ${team.key}` : '';
+    console.log(`Found ${labels.length} labels${teamFilter}:\n`);
+
+    const topLevel = labels.filter(l => !l.parent);
+    topLevel.sort((a, b) => a.name.localeCompare(b.name));
+
+    topLevel.forEach(label => {
+      const scope = label.team ? label.team.key : 'Workspace';
+      if (label.isGroup) {
+        console.log(`📁 ${label.name} (group, ${scope})`);
+        labels.filter(l => l.parent?.id === label.id).forEach(child => {
+          console.log(`   🏷️  ${child.name} ${child.color}${child.description ? ` - ${child.description}` : ''}`);
+        });
+      } else {
+        console.log(`🏷️  ${label.name} ${label.color} (${scope})${label.description ? ` - ${label.description}` : ''}`);
+      }
+    });
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
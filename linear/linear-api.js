@@ -7,8 +7,12 @@
 
 import https from 'https';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { compileIssueTerm, parseIssueQuery, queryFromArgs } from './issue-filter.js';
+import { parseDate, toDateString } from './dates.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -34,15 +38,108 @@ if (!API_KEY) {
   process.exit(1);
 }
 
+// Request timeout and retry settings (override via environment)
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LINEAR_TIMEOUT_MS) || 30000;
+const MAX_RETRIES = process.env.LINEAR_MAX_RETRIES !== undefined ? parseInt(process.env.LINEAR_MAX_RETRIES) : 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60000;
+
+// Network errors that are safe to retry for queries
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+
+// Errors where the request never reached Linear, so even a mutation is safe to resend
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+
+// Metadata cache for lookups that rarely change (users, teams, workflow states, projects).
+// Kept per API key so different workspaces never share entries. LINEAR_CACHE_TTL=0 disables it.
+export const CACHE_DIR = path.join(
+  process.env.LINEAR_CACHE_DIR || path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'linear-skill'),
+  crypto.createHash('sha256').update(API_KEY).digest('hex').slice(0, 16)
+);
+const CACHE_TTL_MS = (process.env.LINEAR_CACHE_TTL !== undefined ? parseInt(process.env.LINEAR_CACHE_TTL) || 0 : 3600) * 1000;
+
+// Mutations that change cached lookups, and the cache keys (prefixes) they invalidate
+const CACHE_INVALIDATIONS = [
+  [/\bproject(Create|Update|Delete|Archive|Unarchive)\b/, ['projects']],
+  [/\bworkflowState(Create|Update|Archive)\b/, ['states-']],
+  [/\bteam(Create|Update|Delete|MembershipCreate|MembershipDelete)\b/, ['teams', 'states-', 'users']],
+  [/\buser(Update|Suspend|Unsuspend|Promote|Demote)\w*\b/, ['users']]
+];
+
+// Set by parseArgs when --refresh is given: ignore cached entries and fetch fresh data
+let cacheRefresh = false;
+const memoryCache = new Map();
+const freshCacheKeys = new Set();
+
+// Rate limit state from the most recent X-RateLimit-* response headers
+const rateLimit = {
+  requestsRemaining: null,
+  requestsReset: null,
+  complexityRemaining: null,
+  complexityReset: null
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
- * Make a GraphQL request to Linear API
+ * Exponential backoff with jitter
  */
-export async function makeRequest(query, variables = {}) {
-  const data = JSON.stringify({
-    query,
-    variables
-  });
+function backoffDelay(attempt) {
+  const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.floor(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Record Linear's X-RateLimit-* headers
+ */
+function updateRateLimit(headers) {
+  const read = (name) => {
+    const value = headers[name];
+    return value !== undefined ? parseInt(value) : null;
+  };
+
+  rateLimit.requestsRemaining = read('x-ratelimit-requests-remaining');
+  rateLimit.requestsReset = read('x-ratelimit-requests-reset');
+  rateLimit.complexityRemaining = read('x-ratelimit-complexity-remaining');
+  rateLimit.complexityReset = read('x-ratelimit-complexity-reset');
+}
+
+/**
+ * Milliseconds to wait until the rate limit window resets, or 0 if budget remains
+ */
+function rateLimitWait() {
+  const now = Date.now();
+  const waits = [];
+
+  if (rateLimit.requestsRemaining === 0 && rateLimit.requestsReset) {
+    waits.push(rateLimit.requestsReset - now);
+  }
+  if (rateLimit.complexityRemaining === 0 && rateLimit.complexityReset) {
+    waits.push(rateLimit.complexityReset - now);
+  }
+
+  return Math.max(0, ...waits);
+}
+
+/**
+ * Describe an exhausted rate limit, including when it resets
+ */
+function rateLimitMessage() {
+  if (rateLimit.complexityRemaining === 0) {
+    const reset = rateLimit.complexityReset ? ` Budget resets at ${new Date(rateLimit.complexityReset).toLocaleTimeString()}.` : '';
+    return `Linear API complexity budget exhausted.${reset} Use smaller --limit values or fewer fields per request.`;
+  }
+
+  const reset = rateLimit.requestsReset ? ` Limit resets at ${new Date(rateLimit.requestsReset).toLocaleTimeString()}.` : '';
+  return `Linear API rate limit exceeded.${reset}`;
+}
 
+/**
+ * Send a single request and collect the raw response
+ */
+function sendRequest(data, timeout) {
   const options = {
     hostname: 'api.linear.app',
     path: '/graphql',
@@ -63,131 +160,1442 @@ export async function makeRequest(query, variables = {}) {
       });
       
       res.on('end', () => {
-        try {
-          const response = JSON.parse(body);
-          
-          if (response.errors) {
-            reject(new Error(`GraphQL Error: ${response.errors.map(e => e.message).join(', ')}`));
-            return;
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+      
+      res.on('error', reject);
+    });
+
+    req.setTimeout(timeout, () => {
+      const error = new Error(`Request timed out after ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+
+    req.on('error', reject);
+
+    req.write(data);
+    req.end();
+  });
+}
+
+/**
+ * Make a GraphQL request to Linear API
+ * Retries with exponential backoff on rate limits (HTTP 429 or RATELIMITED errors),
+ * 5xx responses, timeouts and network resets. Mutations may already have been applied
+ * after a 5xx, timeout or reset, so they are only retried on rate limits and on errors
+ * where the request never left (connection refused, DNS failures).
+ * @param {string} query - GraphQL query or mutation
+ * @param {object} variables - Query variables
+ * @param {object} options - { timeout: ms per attempt, retries: max retry count }
+ * @returns {Promise<object>} - Response data
+ */
+export async function makeRequest(query, variables = {}, { timeout = REQUEST_TIMEOUT_MS, retries = MAX_RETRIES } = {}) {
+  const data = JSON.stringify({
+    query,
+    variables
+  });
+  const isMutation = /^\s*mutation\b/.test(query);
+  const retryableCodes = isMutation ? UNSENT_ERROR_CODES : RETRYABLE_ERROR_CODES;
+
+  for (let attempt = 0; ; attempt++) {
+    // Wait out an exhausted rate limit window before sending
+    const wait = rateLimitWait();
+    if (wait > RETRY_MAX_DELAY_MS) {
+      throw new Error(rateLimitMessage());
+    }
+    if (wait > 0) {
+      console.error(`⏳ Linear rate limit reached, waiting ${Math.ceil(wait / 1000)}s for reset...`);
+      await sleep(wait);
+    }
+
+    let res;
+    try {
+      res = await sendRequest(data, timeout);
+    } catch (error) {
+      if (retryableCodes.includes(error.code) && attempt < retries) {
+        const delay = backoffDelay(attempt);
+        console.error(`⚠️  Request failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${retries})...`);
+        await sleep(delay);
+        continue;
+      }
+      const unsure = isMutation && RETRYABLE_ERROR_CODES.includes(error.code) && !UNSENT_ERROR_CODES.includes(error.code);
+      throw new Error(`Request failed: ${error.message}${unsure ? '. The change may or may not have been applied; check before retrying' : ''}`);
+    }
+
+    updateRateLimit(res.headers);
+
+    let response = null;
+    try {
+      response = JSON.parse(res.body);
+    } catch (error) {
+      // Non-JSON bodies are handled by the status code checks below
+    }
+
+    const rateLimited = res.statusCode === 429 ||
+      response?.errors?.some(e => e.extensions?.code === 'RATELIMITED');
+    const serverError = res.statusCode >= 500;
+
+    if (rateLimited || (serverError && !isMutation)) {
+      if (attempt >= retries) {
+        throw new Error(rateLimited ? rateLimitMessage() : `Linear API error: HTTP ${res.statusCode} after ${retries + 1} attempts`);
+      }
+
+      // Prefer the server's reset time, fall back to backoff
+      let delay = backoffDelay(attempt);
+      const retryAfter = parseInt(res.headers['retry-after']);
+      if (rateLimited && !isNaN(retryAfter)) {
+        delay = retryAfter * 1000;
+      } else if (rateLimited && rateLimitWait() > 0) {
+        delay = rateLimitWait();
+      }
+
+      if (delay > RETRY_MAX_DELAY_MS) {
+        throw new Error(rateLimitMessage());
+      }
+
+      const reason = rateLimited ? 'Rate limited' : `HTTP ${res.statusCode}`;
+      console.error(`⚠️  ${reason}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${retries})...`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (serverError && !response?.data) {
+      throw new Error(`Linear API error: HTTP ${res.statusCode}. The change may or may not have been applied; check before retrying`);
+    }
+
+    if (!response) {
+      throw new Error(`Failed to parse response (HTTP ${res.statusCode}): ${res.body.slice(0, 200)}`);
+    }
+    
+    if (response.errors) {
+      throw new Error(`GraphQL Error: ${response.errors.map(e => e.message).join(', ')}`);
+    }
+    
+    if (isMutation) {
+      invalidateCacheForMutation(query);
+    }
+    
+    return response.data;
+  }
+}
+
+/**
+ * Fetch nodes from a connection using cursor pagination
+ * The query must declare `$first: Int!` and `$after: String` and select
+ * `pageInfo { hasNextPage endCursor }` on the paginated connection.
+ * @param {string} query - GraphQL query
+ * @param {object} variables - Query variables (first/after are added per page)
+ * @param {function} getConnection - Returns the connection ({ nodes, pageInfo }) from response data
+ * @param {object} options - { limit: max nodes to return (Infinity for all), pageSize: nodes per request }
+ * @returns {Promise<object[]>} - Collected nodes
+ */
+export async function paginate(query, variables, getConnection, { limit = Infinity, pageSize = 100 } = {}) {
+  const nodes = [];
+  let after = null;
+
+  while (nodes.length < limit) {
+    const first = Math.min(pageSize, 250, limit - nodes.length);
+    const data = await makeRequest(query, { ...variables, first, after });
+    const connection = getConnection(data);
+
+    if (!connection) {
+      break;
+    }
+
+    nodes.push(...connection.nodes);
+
+    if (!connection.pageInfo?.hasNextPage) {
+      break;
+    }
+    after = connection.pageInfo.endCursor;
+  }
+
+  return nodes;
+}
+
+/**
+ * Get the result limit for list commands from --all / --limit N
+ * @param {object} args - Parsed command line arguments
+ * @param {number} defaultLimit - Limit when neither flag is given
+ * @returns {number} - Maximum number of results (Infinity for --all)
+ */
+export function getLimit(args, defaultLimit) {
+  if (args.all) {
+    return Infinity;
+  }
+
+  if (args.limit !== undefined) {
+    const limit = parseInt(args.limit);
+    if (isNaN(limit) || limit < 1) {
+      throw new Error(`Invalid --limit '${args.limit}'. Use a positive number or --all`);
+    }
+    return limit;
+  }
+
+  return defaultLimit;
+}
+
+/**
+ * Build an IssueFilter from issues.js-style filter flags and query text
+ * Supports --team, --assignee, --project, --status, --cycle and --blocked, plus a query
+ * (see issue-filter.js) from --query or the positional arguments, all ANDed together.
+ * @param {object} args - Parsed command line arguments
+ * @returns {object|null} - IssueFilter, or null when nothing filters
+ */
+export function buildIssueFilter(args) {
+  const filters = [];
+  
+  if (args.team) {
+    filters.push(compileIssueTerm('team', args.team));
+  }
+  
+  if (args.assignee) {
+    filters.push(compileIssueTerm('assignee', args.assignee));
+  }
+  
+  if (args.project) {
+    filters.push(compileIssueTerm('project', args.project));
+  }
+  
+  if (args.status) {
+    filters.push(compileIssueTerm('status', args.status));
+  }
+  
+  if (args.cycle) {
+    if (/^\d+$/.test(args.cycle) && !args.team) {
+      throw new Error('--cycle NUMBER requires --team, cycle numbers are per team');
+    }
+    filters.push(compileIssueTerm('cycle', args.cycle));
+  }
+  
+  if (args.blocked) {
+    filters.push(compileIssueTerm('is', 'blocked'));
+  }
+  
+  const queryFilter = parseIssueQuery(getIssueQueryText(args));
+  if (queryFilter) {
+    filters.push(queryFilter);
+  }
+  
+  if (filters.length === 0) {
+    return null;
+  }
+  return filters.length === 1 ? filters[0] : { and: filters };
+}
+
+/**
+ * Build an issues query from issues.js-style filter flags and query text
+ * Takes the filters of buildIssueFilter plus --search.
+ * The query is paginated (see paginate) and ordered by most recently updated.
+ * @param {object} args - Parsed command line arguments
+ * @param {string} fields - GraphQL selection for each issue node
+ * @returns {{query: string, variables: object}}
+ */
+export function buildIssuesQuery(args, fields) {
+  const variables = {};
+  
+  const filter = buildIssueFilter(args);
+  if (filter) {
+    variables.filter = filter;
+  }
+  
+  let searchQuery = '';
+  if (args.search) {
+    searchQuery = ', query: $searchText';
+    variables.searchText = args.search;
+  }
+  
+  const query = `
+    query GetIssues($first: Int!, $after: String, $filter: IssueFilter${args.search ? ', $searchText: String' : ''}) {
+      issues(first: $first, after: $after, filter: $filter, orderBy: updatedAt${searchQuery}) {
+        nodes {
+          ${fields.trim()}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+  
+  return { query, variables };
+}
+
+/**
+ * Get issue query text from --query or the positional arguments
+ * @param {object} args - Parsed command line arguments
+ * @returns {string} - Query text ('' when none was given)
+ */
+export function getIssueQueryText(args) {
+  if (typeof args.query === 'string') {
+    return args.query;
+  }
+  return args._positional ? queryFromArgs(args._positional) : '';
+}
+
+/**
+ * Get an issue with everything issue.js shows: relations, attachments, comments and history
+ * @param {string} issueId - Issue identifier (ENG-123) or ID; Linear resolves both through issue(id:)
+ * @returns {Promise<object|null>} - The issue, or null if it doesn't exist
+ */
+export async function getIssueDetails(issueId) {
+  const query = `
+    query GetIssueDetails($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
+        description
+        priority
+        estimate
+        createdAt
+        updatedAt
+        completedAt
+        canceledAt
+        dueDate
+        url
+        state {
+          name
+          type
+          color
+        }
+        assignee {
+          id
+          name
+          email
+          avatarUrl
+        }
+        creator {
+          name
+          email
+        }
+        team {
+          key
+          name
+          description
+        }
+        project {
+          id
+          name
+          description
+          progress
+          targetDate
+        }
+        projectMilestone {
+          name
+          targetDate
+        }
+        labels {
+          nodes {
+            id
+            name
+            color
+            description
+          }
+        }
+        children {
+          nodes {
+            id
+            identifier
+            title
+            state {
+              name
+            }
+          }
+        }
+        parent {
+          id
+          identifier
+          title
+        }
+        relations {
+          nodes {
+            id
+            type
+            relatedIssue {
+              identifier
+              title
+              state {
+                name
+              }
+            }
+          }
+        }
+        inverseRelations {
+          nodes {
+            id
+            type
+            issue {
+              identifier
+              title
+              state {
+                name
+              }
+            }
+          }
+        }
+        attachments {
+          nodes {
+            id
+            title
+            url
+            subtitle
+          }
+        }
+        comments {
+          nodes {
+            id
+            body
+            createdAt
+            user {
+              name
+              email
+            }
+          }
+        }
+        history {
+          nodes {
+            id
+            createdAt
+            actor {
+              name
+            }
+            fromState {
+              name
+            }
+            toState {
+              name
+            }
+          }
+        }
+      }
+    }
+  `;  
+  const data = await makeRequest(query, { id: issueId });
+  return data.issue;
+}
+
+/**
+ * Print an issue the way issue.js does
+ * @param {object} issue - Issue from getIssueDetails (or the local mirror)
+ * @param {string} note - Text appended to the title line, e.g. " (offline, synced 5 minutes ago)"
+ */
+export function printIssueDetails(issue, note = '') {
+  // Display issue details
+  console.log(`\n📋 ${issue.identifier} - ${issue.title}${note}\n`);
+  
+  if (issue.description) {
+    console.log('Description:');
+    console.log(issue.description);
+    console.log('');
+  }
+  
+  console.log('Details:');
+  console.log(`  Status: ${issue.state.name}`);
+  console.log(`  Priority: ${formatPriority(issue.priority)}`);
+  console.log(`  Team: ${issue.team.key} (${issue.team.name})`);
+  
+  if (issue.assignee) {
+    console.log(`  Assignee: ${issue.assignee.name} (${issue.assignee.email})`);
+  } else {
+    console.log(`  Assignee: Unassigned`);
+  }
+  
+  console.log(`  Creator: ${issue.creator.name} (${issue.creator.email})`);
+  
+  if (issue.project) {
+    console.log(`  Project: ${issue.project.name} (${issue.project.progress}% complete)`);
+    if (issue.project.targetDate) {
+      console.log(`  Project Target: ${formatDate(issue.project.targetDate)}`);
+    }
+    if (issue.projectMilestone) {
+      const target = issue.projectMilestone.targetDate ? ` (target ${issue.projectMilestone.targetDate})` : '';
+      console.log(`  Milestone: ${issue.projectMilestone.name}${target}`);
+    }
+  }
+  
+  if (issue.estimate) {
+    console.log(`  Estimate: ${issue.estimate} points`);
+  }
+  
+  if (issue.dueDate) {
+    console.log(`  Due Date: ${formatDate(issue.dueDate)}`);
+  }
+  
+  console.log(`  Created: ${formatDate(issue.createdAt)}`);
+  console.log(`  Updated: ${formatDate(issue.updatedAt)}`);
+  
+  if (issue.completedAt) {
+    console.log(`  Completed: ${formatDate(issue.completedAt)}`);
+  }
+  
+  if (issue.canceledAt) {
+    console.log(`  Canceled: ${formatDate(issue.canceledAt)}`);
+  }
+  
+  console.log(`  URL: ${issue.url}`);
+  
+  // Labels
+  if (issue.labels.nodes.length > 0) {
+    console.log('\nLabels:');
+    issue.labels.nodes.forEach(label => {
+      console.log(`  🏷️  ${label.name}${label.description ? ` - ${label.description}` : ''}`);
+    });
+  }
+  
+  // Parent/Children relationships
+  if (issue.parent) {
+    console.log('\nParent Issue:');
+    console.log(`  ⬆️  ${issue.parent.identifier} - ${issue.parent.title}`);
+  }
+  
+  if (issue.children.nodes.length > 0) {
+    console.log('\nChild Issues:');
+    issue.children.nodes.forEach(child => {
+      console.log(`  ⬇️  ${child.identifier} - ${child.title} (${child.state.name})`);
+    });
+  }
+  
+  // Relations in both directions
+  const relationLabels = {
+    'blocks': ['Blocks', 'Blocked by'],
+    'duplicate': ['Duplicate of', 'Duplicated by'],
+    'related': ['Related to', 'Related to'],
+    'similar': ['Similar to', 'Similar to']
+  };
+  const relations = [
+    ...issue.relations.nodes.map(r => ({ label: relationLabels[r.type]?.[0] || r.type, other: r.relatedIssue })),
+    ...issue.inverseRelations.nodes.map(r => ({ label: relationLabels[r.type]?.[1] || r.type, other: r.issue }))
+  ];
+  
+  if (relations.length > 0) {
+    console.log('\nRelations:');
+    relations.forEach(({ label, other }) => {
+      console.log(`  🔗 ${label} ${other.identifier} - ${other.title} (${other.state.name})`);
+    });
+  }
+  
+  // Attachments
+  if (issue.attachments.nodes.length > 0) {
+    console.log('\nAttachments:');
+    issue.attachments.nodes.forEach(attachment => {
+      console.log(`  📎 ${attachment.title}`);
+      if (attachment.subtitle) {
+        console.log(`     ${attachment.subtitle}`);
+      }
+      console.log(`     ${attachment.url}`);
+    });
+  }
+  
+  // Recent comments
+  if (issue.comments.nodes.length > 0) {
+    console.log('\nComments:');
+    issue.comments.nodes.slice(0, 5).forEach(comment => { // Show last 5 comments
+      console.log(`\n💬 ${comment.user.name} - ${formatDate(comment.createdAt)}`);
+      console.log(`   ${comment.body}`);
+    });
+    
+    if (issue.comments.nodes.length > 5) {
+      console.log(`\n   ... and ${issue.comments.nodes.length - 5} more comments`);
+    }
+  }
+  
+  // Recent history
+  if (issue.history.nodes.length > 0) {
+    console.log('\nRecent History:');
+    issue.history.nodes.slice(0, 10).forEach(entry => { // Show last 10 history entries
+      const actor = entry.actor?.name || 'System';
+      const date = formatDate(entry.createdAt);
+      
+      if (entry.fromState && entry.toState) {
+        console.log(`  📈 ${actor} moved from ${entry.fromState.name} to ${entry.toState.name} - ${date}`);
+      }
+    });
+  }
+}
+
+/**
+ * Format date for display
+ */
+export function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  const date = new Date(dateString);
+  return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Format priority for display
+ */
+export function formatPriority(priority) {
+  const priorities = {
+    0: 'None',
+    1: 'Urgent',
+    2: 'High', 
+    3: 'Medium',
+    4: 'Low'
+  };
+  return priorities[priority] || 'Unknown';
+}
+
+/**
+ * Format status for display
+ */
+export function formatStatus(status) {
+  return status.name;
+}
+
+function cacheFile(key) {
+  return path.join(CACHE_DIR, `${key.replace(/[^\w-]/g, '_')}.json`);
+}
+
+/**
+ * Return a cached lookup, fetching and storing it when missing, expired or refreshed
+ * @param {string} key - Cache key (e.g. 'users', 'states-<teamId>')
+ * @param {function} fetcher - Fetches the data when the cache can't be used
+ * @param {object} options - { refresh: bypass cached entries }
+ * @returns {Promise<any>} - Cached or freshly fetched data
+ */
+async function cachedLookup(key, fetcher, { refresh = false } = {}) {
+  if (!refresh && memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+
+  if (!refresh && !cacheRefresh && CACHE_TTL_MS > 0) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(cacheFile(key), 'utf8'));
+      if (Date.now() - entry.fetchedAt < CACHE_TTL_MS) {
+        memoryCache.set(key, entry.data);
+        return entry.data;
+      }
+    } catch (error) {
+      // Missing or unreadable cache entries are simply refetched
+    }
+  }
+
+  const data = await fetcher();
+  memoryCache.set(key, data);
+  freshCacheKeys.add(key);
+
+  if (CACHE_TTL_MS > 0) {
+    try {
+      fs.mkdirSync(CACHE_DIR, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(cacheFile(key), JSON.stringify({ fetchedAt: Date.now(), data }), { mode: 0o600 });
+    } catch (error) {
+      // The cache is an optimization; a read-only home directory shouldn't break commands
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Pick an item from a cached list, refetching once if a stale entry doesn't contain it
+ * @param {function} select - Returns the item from the list, or undefined
+ */
+async function cachedSelect(key, fetcher, select) {
+  const found = select(await cachedLookup(key, fetcher));
+  if (found || freshCacheKeys.has(key)) {
+    return found;
+  }
+  return select(await cachedLookup(key, fetcher, { refresh: true }));
+}
+
+/**
+ * Find an item in a cached list, refetching once if a stale entry doesn't contain it
+ */
+async function cachedFind(key, fetcher, predicate) {
+  return cachedSelect(key, fetcher, list => list.find(predicate));
+}
+
+/**
+ * Remove cached lookups
+ * @param {string[]} prefixes - Cache keys or key prefixes to remove (all entries if omitted)
+ */
+export function invalidateCache(prefixes = ['']) {
+  const matches = key => prefixes.some(prefix => key.startsWith(prefix));
+
+  for (const key of memoryCache.keys()) {
+    if (matches(key)) {
+      memoryCache.delete(key);
+      freshCacheKeys.delete(key);
+    }
+  }
+
+  try {
+    fs.readdirSync(CACHE_DIR)
+      .filter(file => file.endsWith('.json') && matches(file.slice(0, -5)))
+      .forEach(file => fs.rmSync(path.join(CACHE_DIR, file), { force: true }));
+  } catch (error) {
+    // Nothing cached yet
+  }
+}
+
+function invalidateCacheForMutation(query) {
+  for (const [pattern, prefixes] of CACHE_INVALIDATIONS) {
+    if (pattern.test(query)) {
+      invalidateCache(prefixes);
+    }
+  }
+}
+
+/**
+ * Get the workflow states of a team (cached)
+ * @param {string} teamId - Team ID or key
+ * @returns {Promise<object[]>} - States with id, name and type
+ */
+export async function getWorkflowStates(teamId) {
+  return cachedLookup(`states-${teamId}`, () => fetchWorkflowStates(teamId));
+}
+
+async function fetchWorkflowStates(teamId) {
+  const query = `
+    query GetWorkflowStates($teamId: String!) {
+      team(id: $teamId) {
+        states {
+          nodes {
+            id
+            name
+            type
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { teamId });
+  return data.team.states.nodes;
+}
+
+/**
+ * Convert string status to workflow state ID
+ * A state with a matching name wins; otherwise aliases such as "todo" or "done" pick the
+ * team's first state of that type.
+ */
+export async function getWorkflowStateId(teamId, statusName) {
+  try {
+    // Normalize status names for comparison
+    const normalize = name => name.toLowerCase().replace(/[_\s-]/g, '');
+    const normalizedStatus = normalize(statusName);
+    
+    const stateMap = {
+      'triage': 'triage',
+      'backlog': 'backlog',
+      'todo': 'unstarted',
+      'unstarted': 'unstarted',
+      'inprogress': 'started',
+      'started': 'started',
+      'done': 'completed',
+      'completed': 'completed',
+      'canceled': 'canceled',
+      'cancelled': 'canceled'
+    };
+    
+    const targetType = stateMap[normalizedStatus];
+    
+    const state = await cachedSelect(`states-${teamId}`, () => fetchWorkflowStates(teamId), states =>
+      states.find(s => normalize(s.name) === normalizedStatus) || (targetType && states.find(s => s.type === targetType)));
+    
+    return state ? state.id : null;
+  } catch (error) {
+    console.error('Error getting workflow state:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Describe an unknown status for a team, suggesting the closest state name
+ * @returns {Promise<string>} - e.g. "Invalid status 'In Reveiw' for team ENG. Did you mean 'In Review'?"
+ */
+export async function describeInvalidStatus(teamId, teamKey, statusName) {
+  const names = (await getWorkflowStates(teamId)).map(s => s.name);
+  const suggestion = closestMatch(statusName, names);
+  return `Invalid status '${statusName}' for team ${teamKey}.` +
+    (suggestion ? ` Did you mean '${suggestion}'?` : '') +
+    ` Valid statuses: ${names.join(', ')}`;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the candidate closest to a possibly misspelled value, ignoring case, spaces and underscores
+ * @param {string} value - What the user typed
+ * @param {string[]} candidates - Valid values
+ * @returns {string|null} - Closest candidate, or null if none is reasonably close
+ */
+export function closestMatch(value, candidates) {
+  const normalize = text => text.toLowerCase().replace(/[_\s-]/g, '');
+  const target = normalize(value);
+
+  // A partial name like "review" for "In Review" counts as close
+  const containing = target.length >= 3 && candidates.find(c => normalize(c).includes(target));
+  if (containing) {
+    return containing;
+  }
+
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(target, normalize(candidate));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  // Allow roughly one edit per three characters
+  return bestDistance <= Math.max(2, Math.floor(target.length / 3)) ? best : null;
+}
+
+/**
+ * Find user ID by email
+ */
+export async function getUserId(email) {
+  const query = `
+    query GetUsers($first: Int!, $after: String) {
+      users(first: $first, after: $after) {
+        nodes {
+          id
+          email
+          name
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  try {
+    const fetchUsers = () => paginate(query, {}, data => data.users, { pageSize: 250 });
+    const user = await cachedFind('users', fetchUsers, u => u.email.toLowerCase() === email.toLowerCase());
+    return user ? user.id : null;
+  } catch (error) {
+    console.error('Error finding user:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get all teams in the workspace (cached)
+ * @returns {Promise<object[]>} - Teams with id, key and name
+ */
+export async function getTeams() {
+  const query = `
+    query GetTeams($first: Int!, $after: String) {
+      teams(first: $first, after: $after) {
+        nodes {
+          id
+          key
+          name
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  return cachedLookup('teams', () => paginate(query, {}, data => data.teams));
+}
+
+/**
+ * Get the projects a team belongs to
+ * @param {string} teamId - Team ID
+ * @returns {Promise<object[]>} - Projects with id, name, description and state
+ */
+export async function getProjectsByTeam(teamId) {
+  const query = `
+    query GetProjectsByTeam($teamId: String!, $first: Int!, $after: String) {
+      team(id: $teamId) {
+        projects(first: $first, after: $after) {
+          nodes {
+            id
+            name
+            description
+            state
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  return paginate(query, { teamId }, data => data.team.projects);
+}
+
+async function fetchAllProjects() {
+  const query = `
+    query GetAllProjects($first: Int!, $after: String) {
+      projects(first: $first, after: $after) {
+        nodes {
+          id
+          name
+          teams {
+            nodes {
+              id
+              key
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  return paginate(query, {}, data => data.projects);
+}
+
+/**
+ * Get all projects in the workspace with the teams they belong to (cached)
+ * @returns {Promise<object[]>} - Projects with id, name and teams
+ */
+export async function getAllProjects() {
+  return cachedLookup('projects', fetchAllProjects);
+}
+
+/**
+ * Find a project by name (case-insensitive)
+ * @param {string} projectName - Project name
+ * @returns {Promise<object|undefined>} - The project ({ id, name, teams }), or undefined if not found
+ */
+export async function findProjectByName(projectName) {
+  const normalized = projectName.toLowerCase();
+  return cachedFind('projects', fetchAllProjects, p => p.name.toLowerCase() === normalized);
+}
+
+/**
+ * Find a project by name among the projects a team belongs to
+ * @param {string} teamId - Team ID
+ * @param {string} projectName - Project name (case-insensitive)
+ * @returns {Promise<object|undefined>} - The project, or undefined if not found
+ */
+export async function findTeamProject(teamId, projectName) {
+  const normalized = projectName.toLowerCase();
+  return cachedFind('projects', fetchAllProjects, p =>
+    p.name.toLowerCase() === normalized &&
+    p.teams.nodes.some(t => t.id === teamId)
+  );
+}
+
+/**
+ * Get a project's milestones in their roadmap order
+ * @param {string} projectId - Project ID
+ * @returns {Promise<object[]>} - Milestones with id, name, description and targetDate
+ */
+export async function getProjectMilestones(projectId) {
+  const query = `
+    query GetProjectMilestones($projectId: String!, $first: Int!, $after: String) {
+      project(id: $projectId) {
+        projectMilestones(first: $first, after: $after) {
+          nodes {
+            id
+            name
+            description
+            targetDate
+            sortOrder
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const milestones = await paginate(query, { projectId }, data => data.project.projectMilestones);
+  return milestones.sort((a, b) => a.sortOrder - b.sortOrder);
+}
+
+/**
+ * Resolve a milestone of a project by name (case-insensitive) or ID
+ * @param {string} projectId - Project ID
+ * @param {string} milestoneRef - Milestone name or ID
+ * @param {object[]|null} milestones - Already fetched milestones of the project
+ * @returns {Promise<object>} - The matching milestone
+ */
+export async function resolveMilestone(projectId, milestoneRef, milestones = null) {
+  milestones = milestones || await getProjectMilestones(projectId);
+  const normalized = milestoneRef.toLowerCase();
+  const milestone = milestones.find(m => m.id === milestoneRef || m.name.toLowerCase() === normalized);
+
+  if (!milestone) {
+    const available = milestones.map(m => m.name).join(', ') || 'none';
+    throw new Error(`Milestone '${milestoneRef}' not found. Milestones in this project: ${available}`);
+  }
+
+  return milestone;
+}
+
+/**
+ * Get a project's milestones with issue progress
+ * Progress is the share of completed issues, leaving canceled issues out.
+ * @param {string} projectId - Project ID
+ * @returns {Promise<object[]>} - Milestones with total, completed, canceled and progress (0-100),
+ *   followed by a { name: null } entry for issues without a milestone if there are any
+ */
+export async function getMilestoneProgress(projectId) {
+  const query = `
+    query GetProjectMilestoneIssues($projectId: String!, $first: Int!, $after: String) {
+      project(id: $projectId) {
+        issues(first: $first, after: $after) {
+          nodes {
+            state {
+              type
+            }
+            projectMilestone {
+              id
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const [milestones, issues] = await Promise.all([
+    getProjectMilestones(projectId),
+    paginate(query, { projectId }, data => data.project.issues, { pageSize: 250 })
+  ]);
+
+  const withProgress = milestone => {
+    const milestoneIssues = issues.filter(i => (i.projectMilestone?.id || null) === milestone.id);
+    const completed = milestoneIssues.filter(i => i.state.type === 'completed').length;
+    const canceled = milestoneIssues.filter(i => i.state.type === 'canceled').length;
+    const counted = milestoneIssues.length - canceled;
+    return {
+      ...milestone,
+      total: milestoneIssues.length,
+      completed,
+      canceled,
+      progress: counted > 0 ? Math.round(completed / counted * 100) : 0
+    };
+  };
+
+  const result = milestones.map(withProgress);
+  const unassigned = withProgress({ id: null, name: null });
+  if (unassigned.total > 0) {
+    result.push(unassigned);
+  }
+  return result;
+}
+
+/**
+ * One-line milestone progress: "████░░░░░░ 40% (4/10 issues)"
+ */
+export function formatMilestoneProgress(milestone) {
+  const filled = Math.round(milestone.progress / 10);
+  const counted = milestone.total - milestone.canceled;
+  return `${'█'.repeat(filled)}${'░'.repeat(10 - filled)} ${milestone.progress}% (${milestone.completed}/${counted} issues)`;
+}
+
+/**
+ * Post a project update
+ * @param {string} projectId - Project ID
+ * @param {string} updateText - Update body (Markdown)
+ * @param {object} options - { health: 'onTrack', 'atRisk' or 'offTrack' }
+ * @returns {Promise<object>} - The created update with its author and project
+ */
+export async function createProjectUpdate(projectId, updateText, { health } = {}) {
+  const mutation = `
+    mutation ProjectUpdateCreate($input: ProjectUpdateCreateInput!) {
+      projectUpdateCreate(input: $input) {
+        success
+        projectUpdate {
+          id
+          body
+          health
+          createdAt
+          user {
+            name
+            email
+          }
+          project {
+            id
+            name
+          }
+        }
+      }
+    }
+  `;
+
+  const input = {
+    projectId: projectId,
+    body: updateText
+  };
+
+  if (health) {
+    input.health = health;
+  }
+
+  const data = await makeRequest(mutation, { input });
+
+  if (!data.projectUpdateCreate.success) {
+    throw new Error('Failed to create project update');
+  }
+
+  return data.projectUpdateCreate.projectUpdate;
+}
+
+const PROJECT_HEALTH = {
+  ontrack: 'onTrack',
+  atrisk: 'atRisk',
+  offtrack: 'offTrack'
+};
+
+/**
+ * Normalize a project health value ("at risk", "at-risk", "atRisk")
+ * @returns {string} - onTrack, atRisk or offTrack
+ */
+export function parseProjectHealth(value) {
+  const health = PROJECT_HEALTH[String(value).toLowerCase().replace(/[^a-z]/g, '')];
+  if (!health) {
+    throw new Error(`Invalid health '${value}'. Use onTrack, atRisk or offTrack`);
+  }
+  return health;
+}
+
+/**
+ * Format a project health value for display: "🟡 At risk"
+ */
+export function formatProjectHealth(health) {
+  return {
+    onTrack: '🟢 On track',
+    atRisk: '🟡 At risk',
+    offTrack: '🔴 Off track'
+  }[health] || '⚪ No health';
+}
+
+/**
+ * Get a project's most recent updates, newest first
+ * @param {string} projectId - Project ID
+ * @param {number} limit - Maximum number of updates
+ * @returns {Promise<object>} - { name, projectUpdates: { nodes } }
+ */
+export async function getProjectUpdates(projectId, limit = 5) {
+  const query = `
+    query GetProjectUpdates($projectId: String!, $first: Int!, $after: String) {
+      project(id: $projectId) {
+        name
+        projectUpdates(first: $first, after: $after, orderBy: createdAt) {
+          nodes {
+            id
+            body
+            health
+            createdAt
+            editedAt
+            url
+            user {
+              name
+              email
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  let name;
+  const updates = await paginate(query, { projectId }, data => {
+    name = data.project.name;
+    return data.project.projectUpdates;
+  }, { limit });
+
+  return { name, projectUpdates: { nodes: updates } };
+}
+
+/**
+ * Get issue labels available to a team (team labels plus workspace labels)
+ * @param {string|null} teamId - Team ID, or null for all labels in the workspace
+ * @returns {Promise<object[]>} - Labels including group information
+ */
+export async function getLabels(teamId = null) {
+  const query = `
+    query GetLabels($first: Int!, $after: String, $filter: IssueLabelFilter) {
+      issueLabels(first: $first, after: $after, filter: $filter) {
+        nodes {
+          id
+          name
+          color
+          description
+          isGroup
+          parent {
+            id
+            name
+          }
+          team {
+            id
+            key
           }
-          
-          resolve(response.data);
-        } catch (error) {
-          reject(new Error(`Failed to parse response: ${error.message}`));
         }
-      });
-    });
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
 
-    req.on('error', (error) => {
-      reject(new Error(`Request failed: ${error.message}`));
-    });
+  const filter = teamId
+    ? { or: [{ team: { id: { eq: teamId } } }, { team: { null: true } }] }
+    : undefined;
 
-    req.write(data);
-    req.end();
-  });
+  return paginate(query, filter ? { filter } : {}, data => data.issueLabels, { pageSize: 250 });
 }
 
 /**
- * Format date for display
+ * Resolve label names to label objects
+ * Names inside a label group can be given as "Group/Label" or just "Label".
+ * @param {string} teamId - Team ID the labels must be available to
+ * @param {string[]} labelNames - Label names to resolve
+ * @param {object[]|null} labels - Labels from getLabels(teamId), fetched if not given
+ * @returns {Promise<object[]>} - Matching labels
  */
-export function formatDate(dateString) {
-  if (!dateString) return 'N/A';
-  const date = new Date(dateString);
-  return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-}
+export async function resolveLabels(teamId, labelNames, labels = null) {
+  labels = labels || await getLabels(teamId);
+  const resolved = [];
 
-/**
- * Format priority for display
- */
-export function formatPriority(priority) {
-  const priorities = {
-    0: 'None',
-    1: 'Urgent',
-    2: 'High', 
-    3: 'Medium',
-    4: 'Low'
-  };
-  return priorities[priority] || 'Unknown';
-}
+  for (const labelName of labelNames) {
+    const normalized = labelName.toLowerCase().trim();
+    let label;
 
-/**
- * Format status for display
- */
-export function formatStatus(status) {
-  return status.name;
+    if (normalized.includes('/')) {
+      const [groupName, childName] = normalized.split('/').map(s => s.trim());
+      label = labels.find(l =>
+        l.parent?.name.toLowerCase() === groupName && l.name.toLowerCase() === childName
+      );
+    } else {
+      // Prefer a team label over a workspace label with the same name
+      const matches = labels.filter(l => l.name.toLowerCase() === normalized);
+      label = matches.find(l => l.team?.id === teamId) || matches[0];
+    }
+
+    if (!label) {
+      const available = labels.filter(l => !l.isGroup).map(l => l.parent ? `${l.parent.name}/${l.name}` : l.name);
+      throw new Error(`Label '${labelName}' not found. Available labels: ${available.join(', ')}`);
+    }
+
+    if (label.isGroup) {
+      const children = labels.filter(l => l.parent?.id === label.id).map(l => `${label.name}/${l.name}`);
+      throw new Error(`'${label.name}' is a label group. Use one of: ${children.join(', ')}`);
+    }
+
+    // Only one label per group can be applied to an issue
+    const sibling = label.parent && resolved.find(l => l.parent?.id === label.parent.id);
+    if (sibling) {
+      throw new Error(`Labels '${sibling.name}' and '${label.name}' are both in group '${label.parent.name}'; only one can be applied`);
+    }
+
+    resolved.push(label);
+  }
+
+  return resolved;
 }
 
 /**
- * Convert string status to workflow state ID
+ * Get all cycles of a team, sorted by cycle number
+ * @param {string} teamId - Team ID or key
+ * @returns {Promise<object[]>} - Cycles with their timing flags
  */
-export async function getWorkflowStateId(teamId, statusName) {
+export async function getCycles(teamId) {
   const query = `
-    query GetWorkflowStates($teamId: String!) {
+    query GetCycles($teamId: String!, $first: Int!, $after: String) {
       team(id: $teamId) {
-        states {
+        cycles(first: $first, after: $after) {
           nodes {
             id
+            number
             name
-            type
+            startsAt
+            endsAt
+            completedAt
+            progress
+            isActive
+            isFuture
+            isPast
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
           }
         }
       }
     }
   `;
 
-  try {
-    const data = await makeRequest(query, { teamId });
-    const states = data.team.states.nodes;
-    
-    // Normalize status names for comparison
-    const normalizedStatus = statusName.toLowerCase().replace(/[_\s]/g, '');
-    
-    const stateMap = {
-      'backlog': 'backlog',
-      'todo': 'unstarted',
-      'inprogress': 'started',
-      'done': 'completed',
-      'canceled': 'canceled'
-    };
-    
-    const targetType = stateMap[normalizedStatus];
-    
-    const state = states.find(s => 
-      s.type === targetType || 
-      s.name.toLowerCase().replace(/[_\s]/g, '') === normalizedStatus
-    );
-    
-    return state ? state.id : null;
-  } catch (error) {
-    console.error('Error getting workflow state:', error.message);
-    return null;
+  const cycles = await paginate(query, { teamId }, data => data.team?.cycles, { pageSize: 250 });
+  return cycles.sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Resolve a cycle reference for a team
+ * @param {string} teamId - Team ID or key
+ * @param {string} cycleRef - "current", "next", "previous" or a cycle number
+ * @param {object[]|null} cycles - Already fetched cycles of the team
+ * @returns {Promise<object>} - The matching cycle
+ */
+export async function resolveCycle(teamId, cycleRef, cycles = null) {
+  cycles = cycles || await getCycles(teamId);
+  const ref = String(cycleRef).toLowerCase();
+  let cycle;
+
+  if (ref === 'current') {
+    cycle = cycles.find(c => c.isActive);
+  } else if (ref === 'next') {
+    cycle = cycles.find(c => c.isFuture);
+  } else if (ref === 'previous') {
+    cycle = cycles.filter(c => c.isPast).pop();
+  } else if (/^\d+$/.test(ref)) {
+    cycle = cycles.find(c => c.number === parseInt(ref));
+  } else {
+    throw new Error(`Invalid cycle '${cycleRef}'. Use current, next, previous or a cycle number`);
+  }
+
+  if (!cycle) {
+    const available = cycles.filter(c => !c.isPast).map(c => c.number).join(', ') || 'none';
+    throw new Error(`Cycle '${cycleRef}' not found. Current and upcoming cycles: ${available}`);
   }
+
+  return cycle;
 }
 
 /**
- * Find user ID by email
+ * Format a cycle for display
  */
-export async function getUserId(email) {
+export function formatCycle(cycle) {
+  const name = cycle.name ? ` - ${cycle.name}` : '';
+  const start = new Date(cycle.startsAt).toLocaleDateString();
+  const end = new Date(cycle.endsAt).toLocaleDateString();
+  return `Cycle ${cycle.number}${name} (${start} → ${end})`;
+}
+
+/**
+ * Resolve a due date for a team's issue
+ * Accepts everything parseDate does plus "end of cycle", "end of next cycle" and "end of cycle N".
+ * @param {string} teamId - Team ID or key, used for cycle phrases
+ * @param {string} text - ISO date or phrase
+ * @returns {Promise<string>} - YYYY-MM-DD
+ */
+export async function resolveDueDate(teamId, text) {
+  const cyclePhrase = String(text).trim().toLowerCase().match(/^(?:the )?end of (?:the )?(?:(current|this|next|previous) )?cycle(?: (\d+))?$/);
+  if (cyclePhrase) {
+    const ref = cyclePhrase[2] || (cyclePhrase[1] === 'this' ? 'current' : cyclePhrase[1] || 'current');
+    const cycle = await resolveCycle(teamId, ref);
+    // endsAt is the instant the cycle closes, so the last day is the one before it
+    return toDateString(new Date(new Date(cycle.endsAt).getTime() - 1));
+  }
+
+  const date = parseDate(text);
+  if (!date) {
+    throw new Error(`Invalid due date '${text}'. Use YYYY-MM-DD or a phrase like "friday", "next friday", "in 2 weeks", "end of month" or "end of cycle"`);
+  }
+  return date;
+}
+
+// Estimate values per team scale; the last two are only allowed with extended estimates
+const ESTIMATE_SCALES = {
+  exponential: [1, 2, 4, 8, 16, 32, 64],
+  fibonacci: [1, 2, 3, 5, 8, 13, 21],
+  linear: [1, 2, 3, 4, 5, 6, 7],
+  tShirt: [1, 2, 3, 5, 8, 13, 21]
+};
+
+const TSHIRT_SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'];
+
+/**
+ * Get a team's estimate settings (cached)
+ * @param {string} teamId - Team ID or key
+ * @returns {Promise<object>} - { key, issueEstimationType, issueEstimationAllowZero, issueEstimationExtended }
+ */
+export async function getTeamEstimation(teamId) {
   const query = `
-    query GetUsers {
-      users {
-        nodes {
-          id
-          email
-          name
-        }
+    query GetTeamEstimation($teamId: String!) {
+      team(id: $teamId) {
+        key
+        issueEstimationType
+        issueEstimationAllowZero
+        issueEstimationExtended
       }
     }
   `;
 
-  try {
-    const data = await makeRequest(query);
-    const user = data.users.nodes.find(u => u.email.toLowerCase() === email.toLowerCase());
-    return user ? user.id : null;
-  } catch (error) {
-    console.error('Error finding user:', error.message);
+  return cachedLookup(`teams-estimation-${teamId}`, async () => (await makeRequest(query, { teamId })).team);
+}
+
+/**
+ * Estimate values a team accepts, with their display names
+ * @returns {{value: number, label: string}[]}
+ */
+function allowedEstimates(estimation) {
+  const scale = ESTIMATE_SCALES[estimation.issueEstimationType] || [];
+  const values = scale.slice(0, estimation.issueEstimationExtended ? scale.length : scale.length - 2);
+  const labels = estimation.issueEstimationType === 'tShirt' ? TSHIRT_SIZES : values.map(String);
+  const allowed = values.map((value, i) => ({ value, label: labels[i] }));
+  return estimation.issueEstimationAllowZero ? [{ value: 0, label: '0' }, ...allowed] : allowed;
+}
+
+/**
+ * Validate an estimate against the team's estimate scale
+ * @param {string} teamId - Team ID or key
+ * @param {string|number} estimate - Points (5), a t-shirt size (M) or "none" to clear
+ * @returns {Promise<number|null>} - Estimate value for IssueCreateInput/IssueUpdateInput
+ */
+export async function resolveEstimate(teamId, estimate) {
+  const text = String(estimate).trim();
+  if (text.toLowerCase() === 'none') {
     return null;
   }
+
+  const estimation = await getTeamEstimation(teamId);
+  if (!ESTIMATE_SCALES[estimation.issueEstimationType]) {
+    throw new Error(`Team ${estimation.key} doesn't use estimates (enable them in the team settings)`);
+  }
+
+  const allowed = allowedEstimates(estimation);
+  const match = allowed.find(e => e.label.toLowerCase() === text.toLowerCase() || String(e.value) === text);
+  if (!match) {
+    throw new Error(`Invalid estimate '${estimate}' for team ${estimation.key} (${estimation.issueEstimationType}). Valid estimates: ${allowed.map(e => e.label).join(', ')}`);
+  }
+  return match.value;
+}
+
+/**
+ * Format an estimate for display, as a t-shirt size for teams that use them
+ */
+export function formatEstimate(estimate, estimationType = null) {
+  if (estimationType === 'tShirt') {
+    const index = ESTIMATE_SCALES.tShirt.indexOf(estimate);
+    if (index !== -1) return TSHIRT_SIZES[index];
+  }
+  return `${estimate} point${estimate === 1 ? '' : 's'}`;
 }
 
 /**
@@ -204,7 +1612,11 @@ export function parseArgs(args, options = {}) {
       const key = arg.slice(2);
       const nextArg = args[i + 1];
       
-      if (!nextArg || nextArg.startsWith('--')) {
+      if (key === 'refresh') {
+        // Never takes a value, so `--refresh ENG-123` keeps the positional argument
+        result.refresh = true;
+        cacheRefresh = true;
+      } else if (!nextArg || nextArg.startsWith('--')) {
         // Flag without value
         result[key] = true;
       } else {
@@ -235,21 +1647,20 @@ export function parseArgs(args, options = {}) {
 
 /**
  * Create an attachment in Linear for a file
- * Note: Linear doesn't support direct file uploads. You need to host the file elsewhere.
- * This function creates an attachment record pointing to an external URL.
+ * Creates an attachment record on the issue pointing to a URL (external or uploaded via uploadFile).
  * @param {string} issueId - ID of the issue to attach to
  * @param {string} filePath - Path to the file (used for title/metadata only)
- * @param {string} fileUrl - External URL where the file is hosted
+ * @param {string} fileUrl - URL where the file is hosted
+ * @param {object} details - Optional { title, subtitle } overriding the file name as title
  * @returns {Promise<string>} - The attachment ID
  */
-export async function createAttachment(issueId, filePath, fileUrl) {
+export async function createAttachment(issueId, filePath, fileUrl, details = {}) {
   try {
     const filename = path.basename(filePath);
-    const ext = path.extname(filename).toLowerCase();
     
     // Determine icon URL based on file type
     let iconUrl = null;
-    if (['.png', '.jpg', '.jpeg', '.gif', '.webp'].includes(ext)) {
+    if (isImageFile(filename)) {
       iconUrl = fileUrl; // Use the image itself as icon
     }
     
@@ -268,10 +1679,14 @@ export async function createAttachment(issueId, filePath, fileUrl) {
     
     const input = {
       issueId: issueId,
-      title: filename,
+      title: details.title || filename,
       url: fileUrl
     };
     
+    if (details.subtitle) {
+      input.subtitle = details.subtitle;
+    }
+    
     if (iconUrl) {
       input.iconUrl = iconUrl;
     }
@@ -289,186 +1704,131 @@ export async function createAttachment(issueId, filePath, fileUrl) {
   }
 }
 
-/**
- * Generate a temporary public URL for a file (placeholder implementation)
- * In a real implementation, you would upload the file to your own file hosting service
- * (AWS S3, Cloudinary, etc.) and return the public URL
- * @param {string} filePath - Path to the file
- * @returns {Promise<string>} - Public URL where file can be accessed
- */
-async function uploadToExternalStorage(filePath) {
-  // This is a placeholder implementation
-  // In production, you would upload to your preferred file hosting service
-  const filename = path.basename(filePath);
-  
-  // For demonstration, we'll return a placeholder URL
-  // You should replace this with actual file upload logic
-  throw new Error(`File upload not implemented. Please upload '${filename}' to an external service and provide the URL directly.`);
-  
-  // Example implementation with AWS S3 or similar:
-  // const url = await s3.upload({ Key: filename, Body: fs.readFileSync(filePath) }).promise();
-  // return url.Location;
-}
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
 
 /**
- * Try to import Sharp for image processing
- * @returns {Promise<object|null>} - Sharp instance or null if not available
+ * Check whether a file can be embedded as an image in markdown
  */
-async function getSharp() {
-  try {
-    const sharp = await import('sharp');
-    return sharp.default;
-  } catch (error) {
-    return null;
-  }
+function isImageFile(filePath) {
+  return ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'].includes(path.extname(filePath).toLowerCase());
 }
 
 /**
- * Resize image to fit within size limit
- * @param {string} filePath - Path to the image file
- * @param {number} targetSizeKB - Target size in KB (default: 90KB for safety margin)
- * @returns {Promise<Buffer>} - Resized image buffer
+ * PUT a file to a signed upload URL
  */
-async function resizeImageToFitSize(filePath, targetSizeKB = 90) {
-  const sharp = await getSharp();
-  
-  if (!sharp) {
-    throw new Error('Sharp not available. Install with: npm install sharp');
-  }
-  
-  const originalBuffer = fs.readFileSync(filePath);
-  const ext = path.extname(filePath).toLowerCase();
-  
-  // Start with reasonable dimensions and quality
-  let width = 800;
-  let quality = 80;
-  let buffer;
-  
-  const targetSizeBytes = targetSizeKB * 1024;
+function putFile(uploadUrl, filePath, headers) {
+  const url = new URL(uploadUrl);
   
-  // Try progressive reduction
-  for (let attempt = 0; attempt < 8; attempt++) {
-    try {
-      let pipeline = sharp(originalBuffer).resize(width, null, {
-        withoutEnlargement: true,
-        fit: 'inside'
-      });
-      
-      // Apply format-specific compression
-      if (ext === '.png') {
-        pipeline = pipeline.png({ 
-          quality: quality,
-          compressionLevel: 9,
-          adaptiveFiltering: true
-        });
-      } else if (ext === '.jpg' || ext === '.jpeg') {
-        pipeline = pipeline.jpeg({ quality: quality });
-      } else if (ext === '.webp') {
-        pipeline = pipeline.webp({ quality: quality });
-      } else {
-        // For other formats, convert to JPEG for better compression
-        pipeline = pipeline.jpeg({ quality: quality });
-      }
-      
-      buffer = await pipeline.toBuffer();
-      
-      console.log(`📏 Resize attempt ${attempt + 1}: ${width}px, quality ${quality}% = ${(buffer.length / 1024).toFixed(1)}KB`);
-      
-      if (buffer.length <= targetSizeBytes) {
-        console.log(`✅ Image resized successfully to ${(buffer.length / 1024).toFixed(1)}KB`);
-        return buffer;
-      }
+  return new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: url.hostname,
+      path: url.pathname + url.search,
+      method: 'PUT',
+      headers
+    }, (res) => {
+      let body = '';
       
-      // Reduce dimensions and quality for next attempt
-      if (attempt < 4) {
-        width = Math.floor(width * 0.8); // Reduce width by 20%
-      } else {
-        width = Math.floor(width * 0.9); // Smaller reduction
-        quality = Math.max(30, quality - 15); // Reduce quality more aggressively
-      }
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
       
-    } catch (error) {
-      console.error(`❌ Resize attempt ${attempt + 1} failed:`, error.message);
-      throw error;
-    }
-  }
-  
-  // If we still haven't reached target size, return the smallest version
-  if (buffer) {
-    console.log(`⚠️  Final size: ${(buffer.length / 1024).toFixed(1)}KB (target: ${targetSizeKB}KB)`);
-    return buffer;
-  }
-  
-  throw new Error('Unable to resize image to target size');
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`Upload failed with HTTP ${res.statusCode}: ${body.slice(0, 200)}`));
+        }
+      });
+    });
+    
+    req.setTimeout(REQUEST_TIMEOUT_MS * 4, () => {
+      req.destroy(new Error('Upload timed out'));
+    });
+    
+    req.on('error', reject);
+    
+    fs.createReadStream(filePath)
+      .on('error', (error) => req.destroy(error))
+      .pipe(req);
+  });
 }
 
 /**
- * Convert file to base64 data URI for embedding in markdown
- * @param {string} filePath - Path to the file
- * @returns {Promise<string>} - Base64 data URI
+ * Upload a local file to Linear's storage
+ * Requests a signed upload URL with the fileUpload mutation, PUTs the file there
+ * and returns the asset URL that can be embedded or attached to issues.
+ * @param {string} filePath - Path to the local file
+ * @returns {Promise<string>} - Asset URL of the uploaded file
  */
-async function fileToBase64DataUri(filePath) {
-  try {
-    const stats = fs.statSync(filePath);
-    const fileSizeKB = stats.size / 1024;
-    const ext = path.extname(filePath).toLowerCase();
-    
-    // Determine MIME type for data URI
-    const mimeTypes = {
-      '.png': 'image/png',
-      '.jpg': 'image/jpeg', 
-      '.jpeg': 'image/jpeg',
-      '.gif': 'image/gif',
-      '.webp': 'image/webp',
-      '.svg': 'image/svg+xml'
-    };
-    
-    const mimeType = mimeTypes[ext] || 'application/octet-stream';
-    let fileBuffer;
-    
-    // If file is already small enough, use as-is
-    if (fileSizeKB <= 90) {
-      console.log(`✅ Image already optimal size: ${fileSizeKB.toFixed(1)}KB`);
-      fileBuffer = fs.readFileSync(filePath);
-    } else {
-      // Try to resize the image
-      console.log(`📏 Image is ${fileSizeKB.toFixed(1)}KB, attempting to resize...`);
-      
-      try {
-        fileBuffer = await resizeImageToFitSize(filePath);
-      } catch (resizeError) {
-        // Fallback: show helpful message if resize fails
-        const sharp = await getSharp();
-        if (!sharp) {
-          throw new Error(`Image file is ${(fileSizeKB / 1024).toFixed(1)}MB. To auto-resize images, install Sharp:
-
-npm install sharp
-
-Or manually:
-1. Resize image to smaller dimensions  
-2. Host externally and use --attachment "https://url"
-3. Or manually drag and drop in Linear web interface`);
-        } else {
-          throw new Error(`Failed to resize image: ${resizeError.message}. Please:
-1. Try a different image format
-2. Host externally and use --attachment "https://url" 
-3. Or manually drag and drop in Linear web interface`);
+export async function uploadFile(filePath) {
+  const filename = path.basename(filePath);
+  const contentType = MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+  const size = fs.statSync(filePath).size;
+  
+  const mutation = `
+    mutation FileUpload($contentType: String!, $filename: String!, $size: Int!) {
+      fileUpload(contentType: $contentType, filename: $filename, size: $size) {
+        success
+        uploadFile {
+          uploadUrl
+          assetUrl
+          headers {
+            key
+            value
+          }
         }
       }
     }
-    
-    const base64 = fileBuffer.toString('base64');
-    return `data:${mimeType};base64,${base64}`;
-    
-  } catch (error) {
-    throw new Error(`Failed to convert file to base64: ${error.message}`);
+  `;
+  
+  const data = await makeRequest(mutation, { contentType, filename, size });
+  
+  if (!data.fileUpload.success) {
+    throw new Error(`Failed to request upload URL for ${filename}`);
   }
+  
+  const { uploadUrl, assetUrl, headers } = data.fileUpload.uploadFile;
+  
+  const uploadHeaders = {
+    'Content-Type': contentType,
+    'Content-Length': size,
+    'Cache-Control': 'public, max-age=31536000'
+  };
+  headers.forEach(({ key, value }) => {
+    uploadHeaders[key] = value;
+  });
+  
+  await putFile(uploadUrl, filePath, uploadHeaders);
+  
+  return assetUrl;
 }
 
 /**
- * Process local images for embedding in description (for create-issue)
- * @param {string[]} attachments - Array of file paths
- * @returns {Promise<{markdown: string, remaining: string[]}>} - Markdown content and remaining non-image files
+ * Upload local images and build markdown to embed them in a description
+ * @param {string[]} attachments - Array of file paths or URLs
+ * @returns {Promise<{markdown: string, remaining: string[]}>} - Markdown content and remaining URLs/non-image files
  */
 export async function processLocalImagesForDescription(attachments) {
   if (!attachments || attachments.length === 0) {
@@ -486,7 +1846,6 @@ export async function processLocalImagesForDescription(attachments) {
     }
     
     const filename = path.basename(attachment);
-    const ext = path.extname(attachment).toLowerCase();
     
     // Check if file exists
     if (!fs.existsSync(attachment)) {
@@ -494,21 +1853,21 @@ export async function processLocalImagesForDescription(attachments) {
       continue;
     }
     
-    // Check if it's an image that can be embedded
-    if (['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'].includes(ext)) {
+    // Images are uploaded and embedded at full resolution
+    if (isImageFile(attachment)) {
       try {
-        console.log(`📷 Embedding image: ${filename}...`);
+        console.log(`📷 Uploading image: ${filename}...`);
         
-        const dataUri = await fileToBase64DataUri(attachment);
-        markdownParts.push(`![${filename}](${dataUri})`);
+        const assetUrl = await uploadFile(attachment);
+        markdownParts.push(`![${filename}](${assetUrl})`);
         
         console.log(`✅ Embedded image: ${filename}`);
       } catch (error) {
         console.error(`❌ Failed to embed ${filename}: ${error.message}`);
-        remaining.push(attachment); // Add to remaining for manual handling
+        remaining.push(attachment); // Retry as a regular attachment
       }
     } else {
-      // Non-image files go to remaining
+      // Non-image files are uploaded as attachments
       remaining.push(attachment);
     }
   }
@@ -519,8 +1878,9 @@ export async function processLocalImagesForDescription(attachments) {
 }
 
 /**
- * Process attachments for URL-based attachments (for update-issue)
- * @param {string} issueId - Issue ID for URL attachments
+ * Create attachment records on an issue for URLs and local files
+ * Local files (logs, PDFs, zips, ...) are uploaded to Linear first.
+ * @param {string} issueId - Issue ID to attach to
  * @param {string[]} attachments - Array of file paths or URLs
  * @returns {Promise<string>} - Status message about attachments
  */
@@ -530,7 +1890,6 @@ export async function processAttachments(issueId, attachments) {
   }
   
   const results = [];
-  const nonImageFiles = [];
   
   for (const attachment of attachments) {
     try {
@@ -545,9 +1904,8 @@ export async function processAttachments(issueId, attachments) {
         console.log(`✅ Created attachment: ${filename} (${attachmentId})`);
         
       } else {
-        // It's a local file path
+        // It's a local file path - upload it, then attach the asset URL
         const filename = path.basename(attachment);
-        const ext = path.extname(attachment).toLowerCase();
         
         // Check if file exists
         if (!fs.existsSync(attachment)) {
@@ -555,8 +1913,12 @@ export async function processAttachments(issueId, attachments) {
           continue;
         }
         
-        // For local files in update, we can't embed in description, so show instructions
-        nonImageFiles.push(filename);
+        console.log(`📤 Uploading ${filename}...`);
+        const assetUrl = await uploadFile(attachment);
+        const attachmentId = await createAttachment(issueId, filename, assetUrl);
+        
+        results.push(`✅ Uploaded attachment: ${filename}`);
+        console.log(`✅ Uploaded attachment: ${filename} (${attachmentId})`);
       }
     } catch (error) {
       console.error(`❌ Failed to process ${attachment}: ${error.message}`);
@@ -564,28 +1926,63 @@ export async function processAttachments(issueId, attachments) {
     }
   }
   
-  let message = '';
-  
-  // Add success/failure results
-  if (results.length > 0) {
-    message += '\n\n**📎 Attachment Results:**\n' + results.join('\n');
-  }
-  
-  // Add note about local files
-  if (nonImageFiles.length > 0) {
-    message += `\n\n**📎 Local Files Note:**
-For updating existing issues, local files cannot be embedded in the description. These files need external hosting:
+  return '\n\n**📎 Attachment Results:**\n' + results.join('\n');
+}
+
+/**
+ * Short text for a nested Linear object in a CSV cell (e.g. state, assignee, label)
+ */
+function csvLabel(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  return value.identifier ?? value.email ?? value.name ?? value.title ?? value.url ?? value.id ?? JSON.stringify(value);
+}
+
+/**
+ * Flatten a record into CSV columns
+ * Nested objects become dotted columns (state.name, assignee.email) and lists or
+ * connections ({ nodes: [...] }) become one cell joined with "; ".
+ * @param {object} record - Record to flatten
+ * @param {string} prefix - Column prefix for nested objects
+ * @returns {object} - Flat column -> value map
+ */
+export function flattenRecord(record, prefix = '') {
+  const flat = {};
 
-${nonImageFiles.map(f => `- ${f}`).join('\n')}
+  for (const [key, value] of Object.entries(record)) {
+    const column = prefix ? `${prefix}.${key}` : key;
 
-To add these files:
-1. Upload to your file hosting service (AWS S3, Cloudinary, etc.)
-2. Re-run with --attachment "https://your-hosted-url.com/file"
-3. Or manually drag and drop files in the Linear web interface
-4. For new issues, use create-issue.js to embed images directly`;
+    if (value === null || value === undefined) {
+      flat[column] = '';
+    } else if (Array.isArray(value) || Array.isArray(value.nodes)) {
+      const items = Array.isArray(value) ? value : value.nodes;
+      flat[column] = items.map(csvLabel).join('; ');
+    } else if (typeof value === 'object') {
+      Object.assign(flat, flattenRecord(value, column));
+    } else {
+      flat[column] = value;
+    }
   }
-  
-  return message;
+
+  return flat;
+}
+
+/**
+ * Render records as CSV, with a header covering the columns of every row
+ * @param {object[]} records - Records to render; nested values are flattened
+ * @returns {string} - CSV text ending with a newline
+ */
+export function toCsv(records) {
+  const rows = records.map(record => flattenRecord(record));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  // A null object (e.g. no assignee) only gets its own column if no row has nested values for it
+  const headers = columns.filter(c => !columns.some(other => other.startsWith(`${c}.`)));
+  const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+  return [
+    headers.join(','),
+    ...rows.map(row => headers.map(h => escape(row[h])).join(','))
+  ].join('\n') + '\n';
 }
 
 /**
@@ -599,18 +1996,7 @@ export function formatOutput(data, format = 'table') {
   
   if (format === 'csv') {
     if (Array.isArray(data) && data.length > 0) {
-      // Get headers from first object
-      const headers = Object.keys(data[0]);
-      console.log(headers.join(','));
-      
-      data.forEach(row => {
-        const values = headers.map(h => {
-          const value = row[h] || '';
-          // Escape commas and quotes in CSV
-          return `"${value.toString().replace(/"/g, '""')}"`;
-        });
-        console.log(values.join(','));
-      });
+      process.stdout.write(toCsv(data));
     }
     return;
   }
@@ -621,4 +2007,126 @@ export function formatOutput(data, format = 'table') {
   } else {
     console.log(data);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Issue fields needed by printIssueList
+ */
+export const ISSUE_LIST_FIELDS = `
+  id
+  identifier
+  title
+  description
+  priority
+  estimate
+  createdAt
+  updatedAt
+  dueDate
+  url
+  state {
+    name
+    type
+  }
+  assignee {
+    name
+    email
+  }
+  creator {
+    name
+    email
+  }
+  team {
+    key
+    name
+  }
+  project {
+    id
+    name
+  }
+  labels {
+    nodes {
+      name
+      color
+    }
+  }
+`;
+
+/**
+ * Print a list of issues as issues.js does: a table, or JSON/CSV with --json/--csv
+ * @param {object[]} issues - Issues with the ISSUE_LIST_FIELDS selection
+ * @param {object} args - Parsed command line arguments
+ * @param {string} heading - Line printed above the table, e.g. "Found 3 issues"
+ */
+export function printIssueList(issues, args, heading) {
+  if (args.json) {
+    formatOutput(issues, 'json');
+    return;
+  }
+  
+  if (args.csv) {
+    const csvData = issues.map(issue => ({
+      identifier: issue.identifier,
+      title: issue.title,
+      status: issue.state.name,
+      priority: formatPriority(issue.priority),
+      assignee: issue.assignee?.email || 'Unassigned',
+      team: issue.team.key,
+      project: issue.project?.name || 'No Project',
+      created: formatDate(issue.createdAt),
+      updated: formatDate(issue.updatedAt)
+    }));
+    formatOutput(csvData, 'csv');
+    return;
+  }
+  
+  console.log(`${heading}:\n`);
+  
+  issues.forEach(issue => {
+    const priorityEmoji = {
+      1: '🔥', // Urgent
+      2: '📍', // High
+      3: '📌', // Medium
+      4: '📎', // Low
+      0: '⚪'  // None
+    }[issue.priority] || '⚪';
+    
+    const statusEmoji = {
+      'backlog': '📋',
+      'unstarted': '⏳',
+      'started': '🚀',
+      'completed': '✅',
+      'canceled': '❌'
+    }[issue.state.type] || '📋';
+    
+    console.log(`${statusEmoji} ${priorityEmoji} ${issue.identifier} - ${issue.title}`);
+    console.log(`   Team: ${issue.team.key} (${issue.team.name})`);
+    console.log(`   Status: ${issue.state.name} | Priority: ${formatPriority(issue.priority)}`);
+    
+    if (issue.assignee) {
+      console.log(`   Assignee: ${issue.assignee.name} (${issue.assignee.email})`);
+    } else {
+      console.log(`   Assignee: Unassigned`);
+    }
+    
+    if (issue.project) {
+      console.log(`   Project: ${issue.project.name}`);
+    }
+    
+    if (issue.estimate) {
+      console.log(`   Estimate: ${issue.estimate} points`);
+    }
+    
+    if (issue.dueDate) {
+      console.log(`   Due: ${formatDate(issue.dueDate)}`);
+    }
+    
+    if (issue.labels.nodes.length > 0) {
+      const labels = issue.labels.nodes.map(l => l.name).join(', ');
+      console.log(`   Labels: ${labels}`);
+    }
+    
+    console.log(`   Updated: ${formatDate(issue.updatedAt)}`);
+    console.log(`   URL: ${issue.url}`);
+    console.log('');
+  });
+}
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+/**
+ * Link git commits and pull requests to the Linear issues they mention
+ *
+ * Scans `git log RANGE` for issue identifiers (ENG-123, "Fixes MA-7"), posts one comment per
+ * issue listing commits not already mentioned on it, and attaches pull request URLs found in
+ * commit messages (e.g. Gitea's "Reviewed-on:" trailer) or given with --pr.
+ *
+ * Usage:
+ *   ./link-commits.js origin/main..HEAD                # Comment and attach PRs
+ *   ./link-commits.js v1.4.0..v1.5.0 --dry-run         # Show what would be posted
+ *   ./link-commits.js main..feature --pr https://git.example.com/org/repo/pulls/42
+ *   ./link-commits.js origin/main..HEAD --close        # Also move "Fixes ENG-123" issues to done
+ *   ./link-commits.js HEAD~10..HEAD --repo-url https://gitea.example.com/org/repo
+ *   ./link-commits.js origin/main..HEAD --json         # JSON output
+ */
+
+import {
+  makeRequest, paginate, parseArgs, getTeams, getWorkflowStateId, createAttachment, formatOutput
+} from './linear-api.js';
+import { git, assertGitRepository, getRemoteWebUrl, findIssueIdentifiers } from './git.js';
+
+// Keywords that close an issue: "Fixes ENG-1", "closes ENG-1, ENG-2", "Resolved: ENG-3"
+const CLOSING_REFERENCE = /\b(?:fix(?:e[sd])?|close[sd]?|resolve[sd]?)\b:?\s+((?:[A-Za-z][A-Za-z0-9]*-\d+(?:\s*,\s*|\s+and\s+|\s+)?)+)/gi;
+
+// Pull/merge request URLs on GitHub, Gitea/Forgejo, GitLab and Bitbucket
+const PR_URL = /https?:\/\/[^\s<>()]+?\/(?:pulls?|merge_requests|pull-requests)\/\d+/g;
+
+/**
+ * Read commits in a range, oldest first
+ */
+function readCommits(range) {
+  // Unit/record separators keep multi-line bodies intact
+  const output = git(['log', '--reverse', '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s%x1f%b%x1e', range]);
+
+  return output.split('\x1e').map(record => record.trim()).filter(Boolean).map(record => {
+    const [sha, shortSha, author, date, subject, body = ''] = record.split('\x1f');
+    return { sha, shortSha, author, date, subject, body: body.trim() };
+  });
+}
+
+/**
+ * Group commits by the issues they reference
+ * @returns {Map<string, {commits: object[], fixes: boolean, prUrls: Set<string>}>}
+ */
+function collectReferences(commits, teamKeys) {
+  const references = new Map();
+
+  for (const commit of commits) {
+    const message = `${commit.subject}\n${commit.body}`;
+    const identifiers = findIssueIdentifiers(message, teamKeys);
+    const fixed = new Set(
+      [...message.matchAll(CLOSING_REFERENCE)].flatMap(m => findIssueIdentifiers(m[1], teamKeys))
+    );
+    const prUrls = message.match(PR_URL) || [];
+
+    for (const identifier of identifiers) {
+      if (!references.has(identifier)) {
+        references.set(identifier, { commits: [], fixes: false, prUrls: new Set() });
+      }
+      const reference = references.get(identifier);
+      reference.commits.push(commit);
+      reference.fixes = reference.fixes || fixed.has(identifier);
+      prUrls.forEach(url => reference.prUrls.add(url));
+    }
+  }
+
+  return references;
+}
+
+async function getIssue(identifier) {
+  const query = `
+    query GetIssueForCommits($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
+        team {
+          id
+        }
+        state {
+          name
+          type
+        }
+        attachments {
+          nodes {
+            url
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const data = await makeRequest(query, { id: identifier });
+    return data.issue;
+  } catch (error) {
+    // Identifiers in commit messages may point at deleted or mistyped issues
+    if (/not found/i.test(error.message)) return null;
+    throw error;
+  }
+}
+
+async function getCommentBodies(issueId) {
+  const query = `
+    query GetIssueCommentBodies($id: String!, $first: Int!, $after: String) {
+      issue(id: $id) {
+        comments(first: $first, after: $after) {
+          nodes {
+            body
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  const comments = await paginate(query, { id: issueId }, data => data.issue.comments, { pageSize: 100 });
+  return comments.map(c => c.body);
+}
+
+/**
+ * A commit counts as already linked when an earlier comment mentions its hash
+ */
+function isMentioned(commit, commentBodies) {
+  return commentBodies.some(body => body.includes(commit.sha) || body.includes(`\`${commit.shortSha}\``));
+}
+
+function formatCommentBody(commits, repoUrl) {
+  const lines = commits.map(commit => {
+    const hash = repoUrl ? `[\`${commit.shortSha}\`](${repoUrl}/commit/${commit.sha})` : `\`${commit.shortSha}\``;
+    return `- ${hash} ${commit.subject} (${commit.author})`;
+  });
+  return `🔗 Referenced in ${commits.length === 1 ? 'a commit' : `${commits.length} commits`}:\n\n${lines.join('\n')}`;
+}
+
+async function postComment(issueId, body) {
+  const mutation = `
+    mutation CreateComment($input: CommentCreateInput!) {
+      commentCreate(input: $input) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { input: { issueId, body } });
+  if (!data.commentCreate.success) {
+    throw new Error('Failed to create comment');
+  }
+}
+
+async function moveToDone(issue) {
+  const stateId = await getWorkflowStateId(issue.team.id, 'done');
+  if (!stateId) {
+    throw new Error(`No done state found for ${issue.identifier}'s team`);
+  }
+
+  const mutation = `
+    mutation CloseIssue($id: String!, $input: IssueUpdateInput!) {
+      issueUpdate(id: $id, input: $input) {
+        success
+        issue {
+          state {
+            name
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id: issue.id, input: { stateId } });
+  if (!data.issueUpdate.success) {
+    throw new Error(`Failed to update ${issue.identifier}`);
+  }
+  return data.issueUpdate.issue.state.name;
+}
+
+/**
+ * Attachment title and subtitle for a PR URL: "Pull request #42", "git.example.com/org/repo"
+ */
+function describePullRequest(url) {
+  const match = url.match(/^https?:\/\/(.+)\/(?:pulls?|merge_requests|pull-requests)\/(\d+)$/);
+  if (!match) return { title: 'Pull request' };
+  return { title: `Pull request #${match[2]}`, subtitle: match[1].replace(/\/-$/, '') };
+}
+
+/**
+ * Link one issue: comment new commits, attach PRs and optionally close it
+ */
+async function linkIssue(identifier, reference, options) {
+  const result = { identifier, commits: [], prs: [], closed: null, skipped: null };
+
+  const issue = await getIssue(identifier);
+  if (!issue) {
+    result.skipped = 'issue not found';
+    return result;
+  }
+  result.title = issue.title;
+
+  const commentBodies = await getCommentBodies(issue.id);
+  const newCommits = reference.commits.filter(commit => !isMentioned(commit, commentBodies));
+  result.commits = newCommits.map(c => c.shortSha);
+  if (newCommits.length > 0 && !options.dryRun) {
+    await postComment(issue.id, formatCommentBody(newCommits, options.repoUrl));
+  }
+
+  const attached = new Set(issue.attachments.nodes.map(a => a.url));
+  const newPrs = [...reference.prUrls, ...options.prUrls].filter(url => !attached.has(url));
+  result.prs = [...new Set(newPrs)];
+  if (!options.dryRun) {
+    for (const url of result.prs) {
+      await createAttachment(issue.id, url, url, describePullRequest(url));
+    }
+  }
+
+  if (options.close && reference.fixes && !['completed', 'canceled'].includes(issue.state.type)) {
+    result.closed = options.dryRun ? 'done' : await moveToDone(issue);
+  }
+
+  return result;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const range = args._positional?.[0];
+
+  if (!range) {
+    console.error('Usage: ./link-commits.js <RANGE> [--pr URL] [--close] [--repo-url URL] [--dry-run] [--json]');
+    console.error('Example: ./link-commits.js origin/main..HEAD --close');
+    process.exit(1);
+  }
+
+  try {
+    assertGitRepository();
+
+    const commits = readCommits(range);
+    const teamKeys = (await getTeams()).map(t => t.key);
+    const references = collectReferences(commits, teamKeys);
+
+    const options = {
+      dryRun: Boolean(args['dry-run']),
+      close: Boolean(args.close),
+      repoUrl: (typeof args['repo-url'] === 'string' ? args['repo-url'] : getRemoteWebUrl())?.replace(/\/$/, '') || null,
+      prUrls: [].concat(args.pr || []).filter(url => typeof url === 'string')
+    };
+
+    if (references.size === 0) {
+      if (args.json) {
+        formatOutput([], 'json');
+      } else {
+        console.log(`No issue references in ${commits.length} commits (${range})`);
+      }
+      return;
+    }
+
+    if (!args.json) {
+      console.log(`🔍 ${commits.length} commits in ${range} reference ${references.size} issues${options.dryRun ? ' (dry run)' : ''}\n`);
+    }
+
+    const results = [];
+    let failed = false;
+    for (const [identifier, reference] of references) {
+      try {
+        const result = await linkIssue(identifier, reference, options);
+        results.push(result);
+        if (args.json) continue;
+
+        if (result.skipped) {
+          console.log(`⚠️  ${identifier}: skipped, ${result.skipped}`);
+          continue;
+        }
+        console.log(`${identifier} - ${result.title}`);
+        console.log(result.commits.length > 0
+          ? `   ➕ ${options.dryRun ? 'Would comment' : 'Commented'} with ${result.commits.length} commit(s): ${result.commits.join(', ')}`
+          : '   All commits already linked');
+        result.prs.forEach(url => console.log(`   📎 ${options.dryRun ? 'Would attach' : 'Attached'} ${url}`));
+        if (result.closed) {
+          console.log(`   ✅ ${options.dryRun ? 'Would move' : 'Moved'} to ${result.closed}`);
+        }
+      } catch (error) {
+        failed = true;
+        results.push({ identifier, error: error.message });
+        if (!args.json) {
+          console.log(`❌ ${identifier}: ${error.message}`);
+        }
+      }
+    }
+
+    if (args.json) {
+      formatOutput(results, 'json');
+    }
+    if (failed) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
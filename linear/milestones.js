@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * List, create, rename, re-date and delete milestones of a Linear project
+ *
+ * Usage:
+ *   ./milestones.js "Project"                                  # Milestones with issue progress
+ *   ./milestones.js "Project" --create "Beta" --target 2026-12-01 --description "Invite-only"
+ *   ./milestones.js "Project" --update "Beta" --name "Public beta"   # Rename
+ *   ./milestones.js "Project" --update "Beta" --target "end of next month"  # Re-date ("none" clears)
+ *   ./milestones.js "Project" --delete "Beta"                  # Issues keep their project
+ *   ./milestones.js "Project" --json                           # JSON output
+ */
+
+import {
+  makeRequest, parseArgs, findProjectByName, getMilestoneProgress, resolveMilestone, formatMilestoneProgress, formatOutput
+} from './linear-api.js';
+import { parseDate, toDateString } from './dates.js';
+
+const MILESTONE_FIELDS = `
+  id
+  name
+  description
+  targetDate
+`;
+
+/**
+ * Parse --target: an ISO date or phrase, or "none" to clear it
+ */
+function parseTargetDate(value) {
+  if (typeof value !== 'string') {
+    throw new Error('--target needs a date, e.g. --target 2026-12-01 or --target "end of month"');
+  }
+  if (value.toLowerCase() === 'none') {
+    return null;
+  }
+  const date = parseDate(value);
+  if (!date) {
+    throw new Error(`Invalid target date '${value}'. Use YYYY-MM-DD or a phrase like "end of month" or "in 6 weeks"`);
+  }
+  return date;
+}
+
+async function createMilestone(input) {
+  const mutation = `
+    mutation ProjectMilestoneCreate($input: ProjectMilestoneCreateInput!) {
+      projectMilestoneCreate(input: $input) {
+        success
+        projectMilestone {
+          ${MILESTONE_FIELDS}
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { input });
+  if (!data.projectMilestoneCreate.success) {
+    throw new Error('Failed to create milestone');
+  }
+  return data.projectMilestoneCreate.projectMilestone;
+}
+
+async function updateMilestone(id, input) {
+  const mutation = `
+    mutation ProjectMilestoneUpdate($id: String!, $input: ProjectMilestoneUpdateInput!) {
+      projectMilestoneUpdate(id: $id, input: $input) {
+        success
+        projectMilestone {
+          ${MILESTONE_FIELDS}
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id, input });
+  if (!data.projectMilestoneUpdate.success) {
+    throw new Error('Failed to update milestone');
+  }
+  return data.projectMilestoneUpdate.projectMilestone;
+}
+
+async function deleteMilestone(id) {
+  const mutation = `
+    mutation ProjectMilestoneDelete($id: String!) {
+      projectMilestoneDelete(id: $id) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id });
+  if (!data.projectMilestoneDelete.success) {
+    throw new Error('Failed to delete milestone');
+  }
+}
+
+function printMilestone(milestone) {
+  console.log(`🏁 ${milestone.name}${milestone.targetDate ? ` - target ${milestone.targetDate}` : ''}`);
+  if (milestone.description) {
+    console.log(`   ${milestone.description}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const projectName = args._positional?.[0];
+
+  if (!projectName) {
+    console.error('Usage: ./milestones.js "Project" [--create NAME | --update NAME | --delete NAME] [--name NAME] [--target DATE] [--description TEXT]');
+    console.error('Example: ./milestones.js "Q3 Launch" --create "Beta" --target 2026-12-01');
+    process.exit(1);
+  }
+
+  try {
+    const project = await findProjectByName(projectName);
+    if (!project) {
+      console.error(`Project '${projectName}' not found`);
+      process.exit(1);
+    }
+
+    // Create a milestone
+    if (args.create) {
+      if (typeof args.create !== 'string') {
+        throw new Error('Milestone name required for --create');
+      }
+
+      const input = { projectId: project.id, name: args.create };
+      if (args.target !== undefined) {
+        input.targetDate = parseTargetDate(args.target);
+      }
+      if (typeof args.description === 'string') {
+        input.description = args.description;
+      }
+
+      const milestone = await createMilestone(input);
+      if (args.json) {
+        formatOutput(milestone, 'json');
+      } else {
+        console.log(`✅ Milestone created in ${project.name}`);
+        printMilestone(milestone);
+      }
+      return;
+    }
+
+    // Rename, re-date or re-describe a milestone
+    if (args.update) {
+      if (typeof args.update !== 'string') {
+        throw new Error('Milestone name required for --update');
+      }
+
+      const milestone = await resolveMilestone(project.id, args.update);
+      const input = {};
+      if (typeof args.name === 'string') {
+        input.name = args.name;
+      }
+      if (args.target !== undefined) {
+        input.targetDate = parseTargetDate(args.target);
+      }
+      if (typeof args.description === 'string') {
+        input.description = args.description;
+      }
+      if (Object.keys(input).length === 0) {
+        throw new Error('No updates specified. Use --name, --target or --description');
+      }
+
+      const updated = await updateMilestone(milestone.id, input);
+      if (args.json) {
+        formatOutput(updated, 'json');
+      } else {
+        console.log(`✅ Milestone updated in ${project.name}`);
+        if (input.name) {
+          console.log(`   Renamed from ${milestone.name}`);
+        }
+        if (input.targetDate !== undefined) {
+          console.log(`   Target date: ${milestone.targetDate || 'none'} → ${updated.targetDate || 'none'}`);
+        }
+        printMilestone(updated);
+      }
+      return;
+    }
+
+    // Delete a milestone
+    if (args.delete) {
+      if (typeof args.delete !== 'string') {
+        throw new Error('Milestone name required for --delete');
+      }
+
+      const milestone = await resolveMilestone(project.id, args.delete);
+      await deleteMilestone(milestone.id);
+      if (args.json) {
+        formatOutput({ id: milestone.id, name: milestone.name, deleted: true }, 'json');
+      } else {
+        console.log(`✅ Milestone ${milestone.name} deleted from ${project.name}`);
+      }
+      return;
+    }
+
+    // List milestones
+    const milestones = await getMilestoneProgress(project.id);
+
+    if (args.json) {
+      formatOutput(milestones, 'json');
+      return;
+    }
+
+    const named = milestones.filter(m => m.id);
+    console.log(`${project.name}: ${named.length} milestones\n`);
+
+    if (named.length === 0) {
+      console.log(`No milestones yet. Add one with: ./milestones.js "${project.name}" --create "Beta" --target 2026-12-01\n`);
+    }
+
+    const today = toDateString(new Date());
+    milestones.forEach(milestone => {
+      if (!milestone.id) {
+        console.log(`📥 No milestone`);
+      } else {
+        printMilestone(milestone);
+      }
+      console.log(`   ${formatMilestoneProgress(milestone)}`);
+      if (milestone.id && milestone.targetDate && milestone.targetDate < today && milestone.progress < 100) {
+        console.log('   ⚠️  Past its target date');
+      }
+      console.log('');
+    });
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,333 @@
+/**
+ * Local mirror of the Linear workspace
+ * Issues, comments, projects and users are stored as JSONL files (one record per line)
+ * under ~/.cache/linear-skill/<workspace>/mirror/ and kept up to date by sync.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CACHE_DIR } from './linear-api.js';
+
+export const MIRROR_DIR = process.env.LINEAR_MIRROR_DIR || path.join(CACHE_DIR, 'mirror');
+
+export const COLLECTIONS = ['users', 'projects', 'issues', 'comments'];
+
+const STATE_FILE = path.join(MIRROR_DIR, 'state.json');
+
+// Search field weights: a match in the title counts more than one in a description or comment
+const SEARCH_WEIGHTS = { title: 3, description: 1, comments: 1 };
+
+/**
+ * Read the sync state ({ collection: { since, syncedAt, count } })
+ */
+export function readSyncState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+export function writeSyncState(state) {
+  fs.mkdirSync(MIRROR_DIR, { recursive: true, mode: 0o700 });
+  writeAtomic(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
+}
+
+function writeAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function collectionFile(name) {
+  return path.join(MIRROR_DIR, `${name}.jsonl`);
+}
+
+/**
+ * Load a collection as a Map of id -> record
+ */
+export function loadCollection(name) {
+  const records = new Map();
+  let text;
+  try {
+    text = fs.readFileSync(collectionFile(name), 'utf8');
+  } catch (error) {
+    return records;
+  }
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const record = JSON.parse(line);
+    records.set(record.id, record);
+  }
+  return records;
+}
+
+/**
+ * Write a collection (Map or array of records) back to disk
+ */
+export function saveCollection(name, records) {
+  fs.mkdirSync(MIRROR_DIR, { recursive: true, mode: 0o700 });
+  const lines = [...(records instanceof Map ? records.values() : records)].map(r => JSON.stringify(r));
+  writeAtomic(collectionFile(name), lines.join('\n') + (lines.length > 0 ? '\n' : ''));
+}
+
+/**
+ * Load the whole mirror for offline queries
+ * @returns {object} - { issues, comments, projects, users, state }
+ * @throws {Error} - If sync.js has never been run
+ */
+export function loadMirror() {
+  const state = readSyncState();
+  if (!state.issues?.syncedAt) {
+    throw new Error(`No local mirror found in ${MIRROR_DIR}. Run ./sync.js first`);
+  }
+
+  const mirror = { state };
+  for (const name of COLLECTIONS) {
+    mirror[name] = [...loadCollection(name).values()];
+  }
+  return mirror;
+}
+
+/**
+ * Describe how fresh the mirror is, e.g. "synced 5 minutes ago"
+ */
+export function describeSyncAge(state) {
+  const syncedAt = state.issues?.syncedAt;
+  if (!syncedAt) return 'never synced';
+
+  const minutes = Math.round((Date.now() - new Date(syncedAt).getTime()) / 60000);
+  if (minutes < 1) return 'synced just now';
+  if (minutes < 60) return `synced ${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `synced ${hours} hour${hours === 1 ? '' : 's'} ago`;
+  return `synced ${Math.round(hours / 24)} days ago`;
+}
+
+/**
+ * Find an issue in the mirror by identifier (ENG-123) or ID
+ * Comments, children and the project's progress are filled in from the other collections
+ * so the result has the same shape as issue.js's live query.
+ */
+export function findMirroredIssue(mirror, issueId) {
+  const normalized = issueId.toUpperCase();
+  const issue = mirror.issues.find(i => i.id === issueId || i.identifier === normalized);
+  if (!issue) return null;
+
+  const comments = mirror.comments
+    .filter(c => c.issue?.id === issue.id)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const children = mirror.issues
+    .filter(i => i.parent?.id === issue.id && !i.archivedAt)
+    .map(i => ({ id: i.id, identifier: i.identifier, title: i.title, state: i.state }));
+  const project = issue.project && mirror.projects.find(p => p.id === issue.project.id);
+
+  return {
+    ...issue,
+    project: issue.project ? { ...issue.project, ...project } : null,
+    children: { nodes: children },
+    comments: { nodes: comments },
+    attachments: issue.attachments || { nodes: [] },
+    history: { nodes: [] }
+  };
+}
+
+function currentCycleNumbers(issues) {
+  // Cycle numbers are per team; an issue in the active cycle tells us the team's current number
+  const now = Date.now();
+  const current = {};
+  for (const issue of issues) {
+    const cycle = issue.cycle;
+    if (cycle?.startsAt && new Date(cycle.startsAt) <= now && now < new Date(cycle.endsAt)) {
+      current[issue.team.key] = cycle.number;
+    }
+  }
+  return current;
+}
+
+// Status aliases for state types, as in issue-filter.js; anything else is a state name
+const STATE_TYPES = {
+  'triage': 'triage',
+  'backlog': 'backlog',
+  'todo': 'unstarted',
+  'unstarted': 'unstarted',
+  'started': 'started',
+  'in_progress': 'started',
+  'inprogress': 'started',
+  'done': 'completed',
+  'completed': 'completed',
+  'canceled': 'canceled',
+  'cancelled': 'canceled'
+};
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Build a predicate that matches any of a comma-separated list of values
+ */
+function anyOf(value, match) {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const matchers = values.map(match);
+  return issue => matchers.some(m => m(issue));
+}
+
+/**
+ * Apply issues.js filters (--team, --status, --assignee, --project, --cycle, --blocked) to mirrored issues
+ * Matches the semantics of buildIssueFilter in linear-api.js: teams by key or ID, projects by
+ * name or ID, statuses by type alias (todo, in_progress, done) or state name, assignees by
+ * email, display name or part of the name, and "none" for unassigned or no project. Comma-separated
+ * values match any of them. `--assignee me` needs the API and is rejected.
+ * @param {object[]} issues - Mirrored issues
+ * @param {object} args - Parsed command line arguments
+ * @param {object[]} users - Mirrored users, for display names
+ */
+export function filterMirroredIssues(issues, args, users = []) {
+  const predicates = [issue => !issue.archivedAt];
+  const lower = value => (value || '').toLowerCase();
+
+  if (args.team) {
+    predicates.push(anyOf(args.team, v => issue =>
+      UUID.test(v) ? issue.team.id === v : lower(issue.team.key) === lower(v)));
+  }
+
+  if (args.assignee) {
+    const displayNames = new Map(users.map(u => [lower(u.email), lower(u.displayName)]));
+    predicates.push(anyOf(args.assignee, v => {
+      if (lower(v) === 'me') {
+        throw new Error('--assignee me is not supported with --offline, use your email instead');
+      }
+      if (lower(v) === 'none') return issue => !issue.assignee;
+      if (v.includes('@')) return issue => lower(issue.assignee?.email) === lower(v);
+      return issue => Boolean(issue.assignee) && (displayNames.get(lower(issue.assignee.email)) === lower(v) ||
+        lower(issue.assignee.name).includes(lower(v)));
+    }));
+  }
+
+  if (args.project) {
+    predicates.push(anyOf(args.project, v => {
+      if (lower(v) === 'none') return issue => !issue.project;
+      return issue => Boolean(issue.project) && (UUID.test(v) ? issue.project.id === v : lower(issue.project.name) === lower(v));
+    }));
+  }
+
+  if (args.status) {
+    predicates.push(anyOf(args.status, v => {
+      const type = STATE_TYPES[lower(v).replace(/[\s-]/g, '_')];
+      return issue => type ? issue.state.type === type : lower(issue.state.name) === lower(v);
+    }));
+  }
+
+  if (args.cycle) {
+    const cycleRef = args.cycle.toLowerCase();
+    const offsets = { current: 0, next: 1, previous: -1 };
+
+    if (cycleRef in offsets) {
+      const current = currentCycleNumbers(issues);
+      predicates.push(issue => Boolean(issue.cycle) && current[issue.team.key] !== undefined &&
+        issue.cycle.number === current[issue.team.key] + offsets[cycleRef]);
+    } else if (/^\d+$/.test(cycleRef)) {
+      if (!args.team) {
+        throw new Error('--cycle NUMBER requires --team, cycle numbers are per team');
+      }
+      predicates.push(issue => issue.cycle?.number === parseInt(cycleRef));
+    } else {
+      throw new Error(`Invalid cycle '${args.cycle}'. Use current, next, previous or a cycle number`);
+    }
+  }
+
+  if (args.blocked) {
+    predicates.push(issue => Boolean(issue.inverseRelations?.nodes.some(r => r.type === 'blocks')));
+  }
+
+  return issues.filter(issue => predicates.every(p => p(issue)));
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function countTokens(tokens) {
+  const counts = new Map();
+  tokens.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Full-text search over titles, descriptions and comments
+ * Every word must match (as a word prefix, so "auth" finds "authentication") and
+ * "quoted phrases" must appear verbatim. Results are ranked with BM25, title matches
+ * weighted higher, and an exact identifier match always comes first.
+ * @param {object[]} issues - Issues to search
+ * @param {object[]} comments - Mirrored comments
+ * @param {string} text - Search text
+ * @returns {object[]} - Matching issues, best first
+ */
+export function searchMirroredIssues(issues, comments, text) {
+  const phrases = [...text.matchAll(/"([^"]+)"/g)].map(m => m[1].toLowerCase());
+  const terms = [...new Set(tokenize(text.replace(/"[^"]*"/g, ' ')))];
+  const identifier = text.trim().toUpperCase();
+
+  const commentsByIssue = new Map();
+  for (const comment of comments) {
+    const issueId = comment.issue?.id;
+    if (!issueId) continue;
+    commentsByIssue.set(issueId, (commentsByIssue.get(issueId) || '') + '\n' + comment.body);
+  }
+
+  const documents = issues.map(issue => {
+    const fields = {
+      title: issue.title,
+      description: issue.description,
+      comments: commentsByIssue.get(issue.id)
+    };
+    const counts = Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, countTokens(tokenize(value))]));
+    const length = Object.values(counts).reduce((sum, c) => sum + [...c.values()].reduce((a, b) => a + b, 0), 0);
+    return { issue, fields, counts, length };
+  });
+
+  // Weighted term frequency per document, counting tokens that start with the term
+  const termFrequency = (doc, term) => {
+    let tf = 0;
+    for (const [field, counts] of Object.entries(doc.counts)) {
+      for (const [token, count] of counts) {
+        if (token.startsWith(term)) tf += count * SEARCH_WEIGHTS[field];
+      }
+    }
+    return tf;
+  };
+
+  const averageLength = documents.reduce((sum, d) => sum + d.length, 0) / (documents.length || 1);
+  const frequencies = documents.map(doc => terms.map(term => termFrequency(doc, term)));
+  const documentFrequency = terms.map((_, i) => frequencies.filter(f => f[i] > 0).length);
+  const k1 = 1.2;
+  const b = 0.75;
+
+  const results = [];
+  documents.forEach((doc, index) => {
+    if (doc.issue.identifier === identifier) {
+      results.push({ issue: doc.issue, score: Infinity });
+      return;
+    }
+
+    const tfs = frequencies[index];
+    if (tfs.some(tf => tf === 0)) return;
+
+    const haystack = Object.values(doc.fields).join('\n').toLowerCase();
+    if (phrases.some(phrase => !haystack.includes(phrase))) return;
+    if (terms.length === 0 && phrases.length === 0) return;
+
+    let score = 0;
+    tfs.forEach((tf, i) => {
+      const idf = Math.log(1 + (documents.length - documentFrequency[i] + 0.5) / (documentFrequency[i] + 0.5));
+      score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / (averageLength || 1)));
+    });
+    phrases.forEach(phrase => {
+      score += (doc.fields.title || '').toLowerCase().includes(phrase) ? 3 : 1;
+    });
+
+    results.push({ issue: doc.issue, score });
+  });
+
+  return results.sort((a, b) => b.score - a.score).map(r => r.issue);
+}
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * Draft a project status report from real issue data
+ *
+ * Covers the period since the last project update (or --since): issues completed and added,
+ * scope change, overdue and blocked issues, per-assignee throughput compared with the
+ * previous period of the same length, and the progress trend. Renders Markdown.
+ *
+ * Usage:
+ *   ./project-report.js "Project Name"                 # Print the Markdown report
+ *   ./project-report.js "Project Name" --since 14d     # Report on the last 14 days (or YYYY-MM-DD)
+ *   ./project-report.js "Project Name" --post          # Post it as a project update
+ *   ./project-report.js "Project Name" --post --health atRisk
+ *   ./project-report.js "Project Name" --json          # Report data as JSON
+ */
+
+import {
+  makeRequest, paginate, parseArgs, findProjectByName, getProjectUpdates, createProjectUpdate, parseProjectHealth,
+  formatProjectHealth, formatOutput
+} from './linear-api.js';
+import { parseSince, toDateString } from './dates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest issue list shown per section; the rest is summarized
+const MAX_LISTED = 15;
+
+async function getProject(projectId) {
+  const query = `
+    query GetProjectForReport($id: String!) {
+      project(id: $id) {
+        id
+        name
+        state
+        targetDate
+        url
+        lead {
+          name
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { id: projectId });
+  return data.project;
+}
+
+async function getProjectIssues(projectId) {
+  const query = `
+    query GetProjectReportIssues($projectId: String!, $first: Int!, $after: String) {
+      project(id: $projectId) {
+        issues(first: $first, after: $after) {
+          nodes {
+            identifier
+            title
+            url
+            estimate
+            dueDate
+            createdAt
+            addedToProjectAt
+            completedAt
+            canceledAt
+            state {
+              name
+              type
+            }
+            assignee {
+              name
+            }
+            inverseRelations {
+              nodes {
+                type
+                issue {
+                  identifier
+                  state {
+                    type
+                  }
+                }
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  return paginate(query, { projectId }, data => data.project.issues, { pageSize: 100 });
+}
+
+/**
+ * Start of the report period: --since (YYYY-MM-DD or 7d/2w ago), else the last project update
+ * @returns {Promise<{since: Date, reason: string}>}
+ */
+async function resolveSince(projectId, sinceArg) {
+  if (typeof sinceArg === 'string') {
+    const since = parseSince(sinceArg);
+    if (!since) {
+      throw new Error(`Invalid --since '${sinceArg}'. Use YYYY-MM-DD or an amount of time like 7d or 2w`);
+    }
+    return { since, reason: /^\d/.test(sinceArg) && !/^\d{4}-/.test(sinceArg) ? `last ${sinceArg.replace(/\s*ago$/i, '')}` : `since ${toDateString(since)}` };
+  }
+
+  const { projectUpdates } = await getProjectUpdates(projectId, 1);
+  const lastUpdate = projectUpdates.nodes[0];
+  if (lastUpdate) {
+    return { since: new Date(lastUpdate.createdAt), reason: 'since the last project update' };
+  }
+  return { since: new Date(Date.now() - 7 * DAY_MS), reason: 'last 7 days (no earlier project update)' };
+}
+
+function blockers(issue) {
+  return issue.inverseRelations.nodes
+    .filter(r => r.type === 'blocks' && !['completed', 'canceled'].includes(r.issue.state.type))
+    .map(r => r.issue.identifier);
+}
+
+function percent(done, total) {
+  return total > 0 ? Math.round(done / total * 100) : 0;
+}
+
+/**
+ * Compute the report for a period from the project's issues
+ */
+function buildReport(project, issues, since, now = new Date()) {
+  const at = value => value ? new Date(value) : null;
+  const addedAt = issue => at(issue.addedToProjectAt) || at(issue.createdAt);
+  const periodMs = now - since;
+  const previousSince = new Date(since.getTime() - periodMs);
+
+  // Scope is every issue in the project that wasn't canceled at that point in time
+  const inScopeAt = (issue, time) => addedAt(issue) <= time && !(at(issue.canceledAt) && at(issue.canceledAt) <= time);
+  const completedBy = (issue, time) => at(issue.completedAt) && at(issue.completedAt) <= time;
+  const snapshot = time => {
+    const scope = issues.filter(i => inScopeAt(i, time));
+    const completed = scope.filter(i => completedBy(i, time));
+    return { issues: scope.length, completed: completed.length, progress: percent(completed.length, scope.length) };
+  };
+
+  const inPeriod = (value, from, to) => value && value > from && value <= to;
+  const completed = issues.filter(i => inPeriod(at(i.completedAt), since, now));
+  const added = issues.filter(i => inPeriod(addedAt(i), since, now));
+  const canceled = issues.filter(i => inPeriod(at(i.canceledAt), since, now));
+  const open = issues.filter(i => !['completed', 'canceled'].includes(i.state.type));
+
+  const today = toDateString(now);
+  const overdue = open.filter(i => i.dueDate && i.dueDate < today).sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  const blocked = open.map(i => ({ ...i, blockedBy: blockers(i) })).filter(i => i.blockedBy.length > 0);
+
+  // Throughput per assignee in this period and the previous one of the same length
+  const throughput = {};
+  const person = issue => issue.assignee?.name || 'Unassigned';
+  const entry = name => throughput[name] || (throughput[name] = { completed: 0, previous: 0, open: 0 });
+  completed.forEach(i => entry(person(i)).completed++);
+  issues.filter(i => inPeriod(at(i.completedAt), previousSince, since)).forEach(i => entry(person(i)).previous++);
+  open.forEach(i => entry(person(i)).open++);
+
+  const summarize = i => ({
+    identifier: i.identifier,
+    title: i.title,
+    url: i.url,
+    assignee: i.assignee?.name || null,
+    state: i.state.name,
+    ...(i.dueDate ? { dueDate: i.dueDate } : {}),
+    ...(i.blockedBy ? { blockedBy: i.blockedBy } : {})
+  });
+
+  return {
+    project: { name: project.name, state: project.state, targetDate: project.targetDate, url: project.url },
+    period: { since: since.toISOString(), until: now.toISOString(), days: Math.max(1, Math.round(periodMs / DAY_MS)) },
+    progress: { before: snapshot(since), now: snapshot(now) },
+    completed: completed.map(summarize),
+    added: added.map(summarize),
+    canceled: canceled.map(summarize),
+    overdue: overdue.map(summarize),
+    blocked: blocked.map(summarize),
+    throughput
+  };
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function issueList(issues, describe) {
+  const lines = issues.slice(0, MAX_LISTED).map(i => `- [${i.identifier}](${i.url}) ${i.title}${describe(i)}`);
+  if (issues.length > MAX_LISTED) {
+    lines.push(`- …and ${issues.length - MAX_LISTED} more`);
+  }
+  return lines;
+}
+
+/**
+ * Render the report as Markdown suitable for a project update
+ */
+function renderMarkdown(report, reason) {
+  const { progress, period } = report;
+  const assignee = i => i.assignee ? ` (${i.assignee})` : '';
+  const lines = [];
+
+  lines.push(`**Status report, ${reason}** (${toDateString(new Date(period.since))} → ${toDateString(new Date(period.until))})`);
+  lines.push('');
+  lines.push(`- **Progress:** ${progress.before.progress}% → ${progress.now.progress}% (${signed(progress.now.progress - progress.before.progress)} pts), ${progress.now.completed} of ${progress.now.issues} issues done`);
+  lines.push(`- **Scope:** ${progress.before.issues} → ${progress.now.issues} issues (${signed(progress.now.issues - progress.before.issues)}: ${report.added.length} added, ${report.canceled.length} canceled)`);
+  lines.push(`- **Completed:** ${report.completed.length} issues in ${period.days} days`);
+  if (report.project.targetDate) {
+    lines.push(`- **Target date:** ${report.project.targetDate}`);
+  }
+
+  if (report.completed.length > 0) {
+    lines.push('', `### ✅ Completed (${report.completed.length})`, ...issueList(report.completed, assignee));
+  }
+  if (report.added.length > 0) {
+    lines.push('', `### ➕ Added (${report.added.length})`, ...issueList(report.added, i => ` - ${i.state}`));
+  }
+  if (report.overdue.length > 0) {
+    lines.push('', `### ⏰ Overdue (${report.overdue.length})`, ...issueList(report.overdue, i => ` - due ${i.dueDate}${assignee(i)}`));
+  }
+  if (report.blocked.length > 0) {
+    lines.push('', `### 🚧 Blocked (${report.blocked.length})`, ...issueList(report.blocked, i => ` - blocked by ${i.blockedBy.join(', ')}${assignee(i)}`));
+  }
+
+  const names = Object.keys(report.throughput)
+    .sort((a, b) => report.throughput[b].completed - report.throughput[a].completed || a.localeCompare(b));
+  if (names.length > 0) {
+    lines.push('', '### 👥 Throughput', '', '| Assignee | Completed | Previous period | Trend | Open |', '| --- | ---: | ---: | :---: | ---: |');
+    names.forEach(name => {
+      const t = report.throughput[name];
+      const trend = t.completed > t.previous ? '↑' : t.completed < t.previous ? '↓' : '→';
+      lines.push(`| ${name} | ${t.completed} | ${t.previous} | ${trend} | ${t.open} |`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const projectName = args._positional?.[0];
+
+  if (!projectName) {
+    console.error('Usage: ./project-report.js "Project Name" [--since 7d|YYYY-MM-DD] [--post [--health onTrack|atRisk|offTrack]] [--json]');
+    console.error('Example: ./project-report.js "Q3 Launch" --post');
+    process.exit(1);
+  }
+
+  try {
+    const found = await findProjectByName(projectName);
+    if (!found) {
+      console.error(`Project '${projectName}' not found`);
+      process.exit(1);
+    }
+
+    const { since, reason } = await resolveSince(found.id, args.since);
+    const [project, issues] = await Promise.all([getProject(found.id), getProjectIssues(found.id)]);
+    const report = buildReport(project, issues, since);
+    const markdown = renderMarkdown(report, reason);
+
+    if (args.post) {
+      const health = args.health ? parseProjectHealth(args.health) : undefined;
+      const update = await createProjectUpdate(project.id, markdown, { health });
+      if (args.json) {
+        formatOutput({ ...report, markdown, projectUpdate: { id: update.id, createdAt: update.createdAt } }, 'json');
+      } else {
+        console.log(markdown);
+        console.log(`\n✅ Posted as a project update to ${update.project.name}${update.health ? ` (${formatProjectHealth(update.health)})` : ''}`);
+      }
+      return;
+    }
+
+    if (args.json) {
+      formatOutput({ ...report, markdown }, 'json');
+      return;
+    }
+
+    console.log(markdown);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
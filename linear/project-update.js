@@ -1,49 +1,55 @@
 #!/usr/bin/env node
 
 /**
- * Create a Linear project update
+ * Create, edit, delete and list Linear project updates
  * 
  * Usage:
  *   ./project-update.js PROJECT_ID "Update message"
  *   ./project-update.js --project "Project Name" "Update message"
+ *   ./project-update.js "Project Name" "Update message" --health atRisk   # onTrack, atRisk or offTrack
+ *   ./project-update.js "Project Name" --body-file update.md --health onTrack  # Markdown from a file (- for stdin)
+ *   ./project-update.js --edit UPDATE_ID "Corrected message" --health offTrack
+ *   ./project-update.js --delete UPDATE_ID
+ *   ./project-update.js --list "Project Name" --all  # List all updates
+ *   ./project-update.js --list "Project Name" --since 30d  # Updates in the last 30 days
  *   ./project-update.js --json                  # JSON output
  */
 
-import { makeRequest, parseArgs, formatOutput, formatDate } from './linear-api.js';
+import fs from 'fs';
+import { makeRequest, getLimit, parseArgs, findProjectByName, formatOutput, formatDate, createProjectUpdate, getProjectUpdates, parseProjectHealth, formatProjectHealth } from './linear-api.js';
+import { parseSince } from './dates.js';
 
-async function findProjectByName(projectName) {
-  const query = `
-    query GetProjects {
-      projects {
-        nodes {
-          id
-          name
-        }
-      }
-    }
-  `;
-  
-  const data = await makeRequest(query);
-  return data.projects.nodes.find(p => 
-    p.name.toLowerCase() === projectName.toLowerCase()
-  );
+/**
+ * Update body from --body-file (a path, or - for stdin) or the given text
+ */
+function readBody(args, text) {
+  if (args['body-file'] === undefined) {
+    return text;
+  }
+  if (typeof args['body-file'] !== 'string') {
+    throw new Error('--body-file needs a path, or - to read from stdin');
+  }
+  if (text) {
+    throw new Error('Give the update text either as an argument or with --body-file, not both');
+  }
+  const body = fs.readFileSync(args['body-file'] === '-' ? 0 : args['body-file'], 'utf8').trim();
+  if (!body) {
+    throw new Error(`${args['body-file'] === '-' ? 'stdin' : args['body-file']} is empty`);
+  }
+  return body;
 }
 
-async function createProjectUpdate(projectId, updateText) {
+async function updateProjectUpdate(updateId, input) {
   const mutation = `
-    mutation ProjectUpdateCreate($input: ProjectUpdateCreateInput!) {
-      projectUpdateCreate(input: $input) {
+    mutation ProjectUpdateUpdate($id: String!, $input: ProjectUpdateUpdateInput!) {
+      projectUpdateUpdate(id: $id, input: $input) {
         success
         projectUpdate {
           id
           body
-          createdAt
-          user {
-            name
-            email
-          }
+          health
+          editedAt
           project {
-            id
             name
           }
         }
@@ -51,47 +57,93 @@ async function createProjectUpdate(projectId, updateText) {
     }
   `;
   
-  const input = {
-    projectId: projectId,
-    body: updateText
-  };
-  
-  const data = await makeRequest(mutation, { input });
+  const data = await makeRequest(mutation, { id: updateId, input });
   
-  if (!data.projectUpdateCreate.success) {
-    throw new Error('Failed to create project update');
+  if (!data.projectUpdateUpdate.success) {
+    throw new Error('Failed to update project update');
   }
   
-  return data.projectUpdateCreate.projectUpdate;
+  return data.projectUpdateUpdate.projectUpdate;
 }
 
-async function getProjectUpdates(projectId, limit = 5) {
-  const query = `
-    query GetProjectUpdates($projectId: String!, $first: Int!) {
-      project(id: $projectId) {
-        name
-        projectUpdates(first: $first, orderBy: createdAt) {
-          nodes {
-            id
-            body
-            createdAt
-            user {
-              name
-              email
-            }
-          }
-        }
+async function deleteProjectUpdate(updateId) {
+  // Linear removes project updates by archiving them
+  const mutation = `
+    mutation ProjectUpdateArchive($id: String!) {
+      projectUpdateArchive(id: $id) {
+        success
       }
     }
   `;
   
-  const data = await makeRequest(query, { projectId, first: limit });
-  return data.project;
+  const data = await makeRequest(mutation, { id: updateId });
+  
+  if (!data.projectUpdateArchive.success) {
+    throw new Error('Failed to delete project update');
+  }
+}
+
+/**
+ * Handle --edit and --delete, which work on an update ID rather than a project
+ */
+async function manageUpdate(args) {
+  if (args.delete) {
+    if (typeof args.delete !== 'string') {
+      throw new Error('Project update ID required for --delete');
+    }
+    // With --json, stdout carries only the JSON and progress goes to stderr
+    const log = args.json ? console.error : console.log;
+    log(`🗑️  Deleting project update ${args.delete}...`);
+    await deleteProjectUpdate(args.delete);
+    
+    if (args.json) {
+      formatOutput({ id: args.delete, deleted: true }, 'json');
+    } else {
+      console.log(`✅ Project update ${args.delete} deleted successfully`);
+    }
+    return;
+  }
+  
+  if (typeof args.edit !== 'string') {
+    throw new Error('Project update ID required for --edit');
+  }
+  
+  const input = {};
+  const body = readBody(args, args._positional?.[0]);
+  if (body) {
+    input.body = body;
+  }
+  if (args.health) {
+    input.health = parseProjectHealth(args.health);
+  }
+  if (Object.keys(input).length === 0) {
+    throw new Error('Nothing to change. Give new text, --body-file or --health');
+  }
+  
+  const update = await updateProjectUpdate(args.edit, input);
+  
+  if (args.json) {
+    formatOutput(update, 'json');
+  } else {
+    console.log(`✅ Project update edited (${update.project.name})`);
+    console.log(`🩺 Health: ${formatProjectHealth(update.health)}`);
+    console.log(`💬 Update: ${update.body}`);
+  }
 }
 
 async function main() {
   const args = parseArgs(process.argv.slice(2));
   
+  if (args.edit || args.delete) {
+    try {
+      await manageUpdate(args);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+  
   // Handle --list flag
   if (args.list) {
     const projectIdOrName = typeof args.list === 'string' ? args.list : args._positional?.[0];
@@ -109,7 +161,10 @@ async function main() {
   if (!projectIdOrName) {
     console.error('Usage: ./project-update.js <PROJECT_ID_OR_NAME> "<update_message>"');
     console.error('   or: ./project-update.js --project "Project Name" "<update_message>"');
-    console.error('   or: ./project-update.js --list PROJECT_ID  # List recent updates');
+    console.error('   or: ./project-update.js --list PROJECT_ID [--since 30d]  # List recent updates');
+    console.error('   or: ./project-update.js --edit <UPDATE_ID> "<new text>" | --delete <UPDATE_ID>');
+    console.error('');
+    console.error('Options: --health onTrack|atRisk|offTrack, --body-file path.md');
     console.error('');
     console.error('Examples:');
     console.error('  ./project-update.js "Staging Environment" "Planning setup steps"');
@@ -134,22 +189,45 @@ async function main() {
     
     // List updates if requested
     if (args.list) {
-      const projectData = await getProjectUpdates(projectId, args.limit || 10);
+      let since = null;
+      if (args.since !== undefined) {
+        since = parseSince(args.since);
+        if (!since) {
+          throw new Error(`Invalid --since '${args.since}'. Use an amount of time like 30d or 2w, or YYYY-MM-DD`);
+        }
+      }
+      
+      // Fetch one more than shown so the oldest update can be compared with its predecessor
+      const limit = getLimit(args, since ? Infinity : 10);
+      const projectData = await getProjectUpdates(projectId, since ? Infinity : limit + 1);
+      const all = projectData.projectUpdates.nodes;
+      const updates = all
+        .map((update, i) => {
+          const previousHealth = all[i + 1]?.health || null;
+          return { ...update, previousHealth, healthChanged: Boolean(all[i + 1]) && previousHealth !== update.health };
+        })
+        .filter(update => !since || new Date(update.createdAt) >= since)
+        .slice(0, limit);
       
       if (args.json) {
-        formatOutput(projectData, 'json');
+        formatOutput({ name: projectData.name, projectUpdates: { nodes: updates } }, 'json');
         return;
       }
       
-      console.log(`\n📋 Recent updates for: ${projectData.name}\n`);
+      console.log(`\n📋 ${since ? `Updates since ${formatDate(since)}` : 'Recent updates'} for: ${projectData.name}\n`);
       
-      if (projectData.projectUpdates.nodes.length === 0) {
+      if (updates.length === 0) {
         console.log('No updates found');
         return;
       }
       
-      projectData.projectUpdates.nodes.forEach(update => {
-        console.log(`📄 ${formatDate(update.createdAt)} - ${update.user.name}`);
+      updates.forEach(update => {
+        const edited = update.editedAt ? ' (edited)' : '';
+        console.log(`📄 ${formatDate(update.createdAt)} - ${update.user.name}${edited} | ${formatProjectHealth(update.health)}`);
+        if (update.healthChanged) {
+          console.log(`   ⚠️  Health changed: ${formatProjectHealth(update.previousHealth)} → ${formatProjectHealth(update.health)}`);
+        }
+        console.log(`   ID: ${update.id}`);
         console.log(`   ${update.body}`);
         console.log('');
       });
@@ -158,14 +236,17 @@ async function main() {
     }
     
     // Create update
-    if (!updateText) {
+    const body = readBody(args, updateText);
+    if (!body) {
       console.error('Update message is required');
       console.error('Example: ./project-update.js "Staging Environment" "Planning setup steps"');
       process.exit(1);
     }
     
+    const health = args.health ? parseProjectHealth(args.health) : undefined;
+    
     console.log('Creating project update...');
-    const update = await createProjectUpdate(projectId, updateText);
+    const update = await createProjectUpdate(projectId, body, { health });
     
     if (args.json) {
       formatOutput(update, 'json');
@@ -174,7 +255,11 @@ async function main() {
       console.log(`📋 Project: ${update.project.name}`);
       console.log(`👤 Author: ${update.user.name} (${update.user.email})`);
       console.log(`📅 Created: ${formatDate(update.createdAt)}`);
+      console.log(`🩺 Health: ${formatProjectHealth(update.health)}`);
       console.log(`💬 Update: ${update.body}`);
+      if (!update.health) {
+        console.log('\n💡 Updates without --health (onTrack, atRisk, offTrack) are left out of health filters');
+      }
     }
     
   } catch (error) {
@@ -7,10 +7,14 @@
  *   ./projects.js                 # List all projects
  *   ./projects.js TEAM_KEY        # Projects for specific team
  *   ./projects.js --active        # Only active projects
+ *   ./projects.js --all           # Fetch all pages
+ *   ./projects.js --limit 100     # Limit results (default: 50)
  *   ./projects.js --json          # JSON output
+ *
+ * Projects with milestones also show per-milestone issue progress (manage them with milestones.js).
  */
 
-import { makeRequest, parseArgs, formatOutput, formatDate } from './linear-api.js';
+import { paginate, getLimit, parseArgs, formatOutput, formatDate, getMilestoneProgress, formatMilestoneProgress } from './linear-api.js';
 
 async function main() {
   const args = parseArgs(process.argv.slice(2));
@@ -21,9 +25,9 @@ async function main() {
   
   if (teamKey) {
     query = `
-      query GetTeamProjects($teamKey: String!) {
+      query GetTeamProjects($teamKey: String!, $first: Int!, $after: String) {
         team(id: $teamKey) {
-          projects {
+          projects(first: $first, after: $after) {
             nodes {
               id
               name
@@ -42,6 +46,15 @@ async function main() {
                   name
                 }
               }
+              projectMilestones {
+                nodes {
+                  id
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
             }
           }
         }
@@ -50,8 +63,8 @@ async function main() {
     variables = { teamKey };
   } else {
     query = `
-      query GetProjects {
-        projects {
+      query GetProjects($first: Int!, $after: String) {
+        projects(first: $first, after: $after) {
           nodes {
             id
             name
@@ -76,6 +89,15 @@ async function main() {
                 name
               }
             }
+            projectMilestones {
+              nodes {
+                id
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
           }
         }
       }
@@ -83,17 +105,18 @@ async function main() {
   }
   
   try {
-    const data = await makeRequest(query, variables);
-    let projects;
-    
-    if (teamKey) {
-      if (!data.team) {
-        console.error(`Team '${teamKey}' not found`);
-        process.exit(1);
+    let teamFound = true;
+    let projects = await paginate(query, variables, data => {
+      if (teamKey) {
+        teamFound = Boolean(data.team);
+        return data.team?.projects;
       }
-      projects = data.team.projects.nodes;
-    } else {
-      projects = data.projects.nodes;
+      return data.projects;
+    }, { limit: getLimit(args, 50) });
+    
+    if (!teamFound) {
+      console.error(`Team '${teamKey}' not found`);
+      process.exit(1);
     }
     
     // Filter active projects if requested
@@ -101,6 +124,13 @@ async function main() {
       projects = projects.filter(p => p.state !== 'completed' && p.state !== 'canceled');
     }
     
+    // Milestone progress needs the project's issues, so only fetch it where there are milestones
+    await Promise.all(projects.map(async project => {
+      const hasMilestones = project.projectMilestones.nodes.length > 0;
+      delete project.projectMilestones;
+      project.milestones = hasMilestones ? await getMilestoneProgress(project.id) : [];
+    }));
+    
     if (args.json) {
       formatOutput(projects, 'json');
       return;
@@ -141,6 +171,14 @@ async function main() {
         console.log(`   Teams: ${teamNames}`);
       }
       
+      if (project.milestones.length > 0) {
+        console.log('   Milestones:');
+        project.milestones.forEach(milestone => {
+          const target = milestone.targetDate ? ` (target ${milestone.targetDate})` : '';
+          console.log(`     ${milestone.id ? `🏁 ${milestone.name}` : '📥 No milestone'}${target}: ${formatMilestoneProgress(milestone)}`);
+        });
+      }
+      
       console.log(`   Created: ${formatDate(project.createdAt)}`);
       console.log('');
     });
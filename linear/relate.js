@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Create and remove relations between Linear issues
+ *
+ * Usage:
+ *   ./relate.js ENG-1 blocks ENG-2              # ENG-1 blocks ENG-2
+ *   ./relate.js ENG-1 blocked-by ENG-2          # ENG-1 is blocked by ENG-2
+ *   ./relate.js ENG-1 duplicate-of ENG-2        # ENG-1 is a duplicate of ENG-2
+ *   ./relate.js ENG-1 related ENG-2             # ENG-1 is related to ENG-2
+ *   ./relate.js ENG-1 blocks ENG-2 --remove     # Remove a relation
+ *   ./relate.js --json                          # JSON output
+ */
+
+import { makeRequest, parseArgs, formatOutput } from './linear-api.js';
+
+// Relation keyword -> Linear relation type, and whether the issues are swapped
+const relationTypes = {
+  'blocks': { type: 'blocks', swap: false, label: 'blocks' },
+  'blocked-by': { type: 'blocks', swap: true, label: 'is blocked by' },
+  'duplicate-of': { type: 'duplicate', swap: false, label: 'is a duplicate of' },
+  'duplicated-by': { type: 'duplicate', swap: true, label: 'is duplicated by' },
+  'related': { type: 'related', swap: false, label: 'is related to' }
+};
+
+async function getIssue(issueId) {
+  const query = `
+    query GetIssue($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
+        relations {
+          nodes {
+            id
+            type
+            relatedIssue {
+              id
+              identifier
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { id: issueId });
+  return data.issue;
+}
+
+async function createRelation(issueId, relatedIssueId, type) {
+  const mutation = `
+    mutation IssueRelationCreate($input: IssueRelationCreateInput!) {
+      issueRelationCreate(input: $input) {
+        success
+        issueRelation {
+          id
+          type
+          issue {
+            identifier
+            title
+          }
+          relatedIssue {
+            identifier
+            title
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { input: { issueId, relatedIssueId, type } });
+
+  if (!data.issueRelationCreate.success) {
+    throw new Error('Failed to create relation');
+  }
+
+  return data.issueRelationCreate.issueRelation;
+}
+
+async function deleteRelation(relationId) {
+  const mutation = `
+    mutation IssueRelationDelete($id: String!) {
+      issueRelationDelete(id: $id) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id: relationId });
+
+  if (!data.issueRelationDelete.success) {
+    throw new Error('Failed to delete relation');
+  }
+
+  return true;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [firstId, relationName, secondId] = args._positional || [];
+  const relation = relationTypes[relationName?.toLowerCase()];
+
+  if (!firstId || !relation || !secondId) {
+    console.error('Usage: ./relate.js <ISSUE_ID> <relation> <ISSUE_ID> [--remove]');
+    console.error('');
+    console.error(`Relations: ${Object.keys(relationTypes).join(', ')}`);
+    console.error('');
+    console.error('Examples:');
+    console.error('  ./relate.js ENG-1 blocks ENG-2');
+    console.error('  ./relate.js ENG-5 duplicate-of ENG-3');
+    console.error('  ./relate.js ENG-1 blocks ENG-2 --remove');
+    process.exit(1);
+  }
+
+  try {
+    const [first, second] = await Promise.all([getIssue(firstId), getIssue(secondId)]);
+
+    if (!first) {
+      console.error(`Issue '${firstId}' not found`);
+      process.exit(1);
+    }
+    if (!second) {
+      console.error(`Issue '${secondId}' not found`);
+      process.exit(1);
+    }
+
+    // Linear stores each relation once, from the issue that blocks or duplicates
+    const [source, target] = relation.swap ? [second, first] : [first, second];
+
+    if (args.remove) {
+      // Related links are symmetric, so look in both directions
+      const candidates = [
+        ...source.relations.nodes.filter(r => r.relatedIssue.id === target.id),
+        ...(relation.type === 'related' ? target.relations.nodes.filter(r => r.relatedIssue.id === source.id) : [])
+      ];
+      const existing = candidates.find(r => r.type === relation.type);
+
+      if (!existing) {
+        console.error(`No relation found: ${first.identifier} ${relation.label} ${second.identifier}`);
+        process.exit(1);
+      }
+
+      await deleteRelation(existing.id);
+      console.log(`✅ Removed relation: ${first.identifier} ${relation.label} ${second.identifier}`);
+      return;
+    }
+
+    const created = await createRelation(source.id, target.id, relation.type);
+
+    if (args.json) {
+      formatOutput(created, 'json');
+    } else {
+      console.log(`\n✅ Relation created!`);
+      console.log(`🔗 ${first.identifier} ${relation.label} ${second.identifier}`);
+      console.log(`   ${first.identifier} - ${first.title}`);
+      console.log(`   ${second.identifier} - ${second.title}`);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
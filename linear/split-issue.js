@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Split a Linear issue's markdown checklist into sub-issues
+ *
+ * Each unchecked item ("- [ ] Do something") becomes a sub-issue that inherits the
+ * parent's team, project and cycle. The checklist line is then replaced with a
+ * link to the new sub-issue.
+ *
+ * Usage:
+ *   ./split-issue.js ENG-123                # Create sub-issues from checklist items
+ *   ./split-issue.js ENG-123 --dry-run      # Preview without changing anything
+ *   ./split-issue.js ENG-123 --assignee email@domain.com  # Assign all sub-issues
+ *   ./split-issue.js ENG-123 --json         # JSON output
+ */
+
+import { makeRequest, parseArgs, getUserId, formatOutput } from './linear-api.js';
+
+// Matches "- [ ] text", "* [x] text", "1. [ ] text" with any indentation
+const CHECKLIST_ITEM = /^(\s*)(?:[-*+]|\d+\.)\s+\[([ xX])\]\s+(.+)$/;
+
+async function getIssue(issueId) {
+  const query = `
+    query GetIssue($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
+        description
+        team {
+          id
+          key
+        }
+        project {
+          id
+          name
+        }
+        cycle {
+          id
+          number
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { id: issueId });
+  return data.issue;
+}
+
+async function createSubIssue(input) {
+  const mutation = `
+    mutation CreateIssue($input: IssueCreateInput!) {
+      issueCreate(input: $input) {
+        success
+        issue {
+          id
+          identifier
+          title
+          url
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { input });
+
+  if (!data.issueCreate.success) {
+    throw new Error(`Failed to create sub-issue '${input.title}'`);
+  }
+
+  return data.issueCreate.issue;
+}
+
+async function updateDescription(issueId, description) {
+  const mutation = `
+    mutation UpdateIssue($id: String!, $input: IssueUpdateInput!) {
+      issueUpdate(id: $id, input: $input) {
+        success
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id: issueId, input: { description } });
+
+  if (!data.issueUpdate.success) {
+    throw new Error('Failed to update description');
+  }
+}
+
+/**
+ * Find checklist items in a markdown description
+ */
+function parseChecklist(description) {
+  return description.split('\n').map((line, index) => {
+    const match = line.match(CHECKLIST_ITEM);
+    if (!match) return null;
+    return {
+      index,
+      indent: match[1],
+      checked: match[2].toLowerCase() === 'x',
+      title: match[3].trim()
+    };
+  }).filter(Boolean);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const issueId = args._positional?.[0];
+
+  if (!issueId) {
+    console.error('Usage: ./split-issue.js <ISSUE_ID> [--dry-run] [--assignee email]');
+    console.error('');
+    console.error('Turns unchecked "- [ ] item" lines in the description into sub-issues.');
+    console.error('');
+    console.error('Example: ./split-issue.js ENG-123 --dry-run');
+    process.exit(1);
+  }
+
+  // With --json, stdout carries only the JSON and progress goes to stderr
+  const log = args.json ? console.error : console.log;
+
+  try {
+    const issue = await getIssue(issueId);
+
+    if (!issue) {
+      console.error(`Issue '${issueId}' not found`);
+      process.exit(1);
+    }
+
+    const description = issue.description || '';
+    const items = parseChecklist(description);
+    const openItems = items.filter(item => !item.checked);
+
+    if (openItems.length === 0) {
+      if (args.json) {
+        formatOutput([], 'json');
+      }
+      log(`No unchecked checklist items found in ${issue.identifier}`);
+      return;
+    }
+
+    log(`📋 ${issue.identifier} - ${issue.title}`);
+    log(`Found ${openItems.length} unchecked checklist items${items.length > openItems.length ? ` (skipping ${items.length - openItems.length} checked)` : ''}:\n`);
+    openItems.forEach(item => log(`  ☐ ${item.title}`));
+
+    const inherited = [`team ${issue.team.key}`];
+    if (issue.project) inherited.push(`project ${issue.project.name}`);
+    if (issue.cycle) inherited.push(`cycle ${issue.cycle.number}`);
+    log(`\nSub-issues inherit: ${inherited.join(', ')}`);
+
+    if (args['dry-run']) {
+      if (args.json) {
+        formatOutput(openItems.map(item => ({
+          title: item.title,
+          parent: issue.identifier,
+          team: issue.team.key,
+          project: issue.project?.name || null,
+          cycle: issue.cycle?.number ?? null
+        })), 'json');
+      }
+      log('\n🔍 Dry run - no issues created');
+      return;
+    }
+
+    let assigneeId = null;
+    if (args.assignee) {
+      assigneeId = await getUserId(args.assignee);
+      if (!assigneeId) {
+        console.error(`User with email '${args.assignee}' not found`);
+        process.exit(1);
+      }
+    }
+
+    log('');
+    const lines = description.split('\n');
+    const created = [];
+
+    for (const item of openItems) {
+      const input = {
+        title: item.title,
+        teamId: issue.team.id,
+        parentId: issue.id
+      };
+      if (issue.project) input.projectId = issue.project.id;
+      if (issue.cycle) input.cycleId = issue.cycle.id;
+      if (assigneeId) input.assigneeId = assigneeId;
+
+      try {
+        const subIssue = await createSubIssue(input);
+        lines[item.index] = `${item.indent}- [${subIssue.identifier}](${subIssue.url}) ${item.title}`;
+        created.push(subIssue);
+        log(`✅ Created ${subIssue.identifier} - ${subIssue.title}`);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+      }
+    }
+
+    // Replace converted lines even if some items failed, so a re-run only retries the rest
+    if (created.length > 0) {
+      await updateDescription(issue.id, lines.join('\n'));
+      log(`\n📄 Replaced ${created.length} checklist items in ${issue.identifier} with sub-issue links`);
+    }
+
+    if (args.json) {
+      formatOutput(created, 'json');
+    }
+
+    if (created.length < openItems.length) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Start work on a Linear issue: check out its git branch, assign it to you and move it to started
+ *
+ * Usage:
+ *   ./start.js ENG-123                   # Branch, assign to me, move to In Progress
+ *   ./start.js ENG-123 --base main       # Create the branch from main instead of HEAD
+ *   ./start.js ENG-123 --status "In Review"  # Move to a specific state
+ *   ./start.js ENG-123 --no-assign       # Keep the current assignee
+ *   ./start.js ENG-123 --no-status       # Leave the state alone
+ *   ./start.js ENG-123 --json            # JSON output
+ */
+
+import { makeRequest, parseArgs, getWorkflowStateId, formatOutput } from './linear-api.js';
+import { git, assertGitRepository, getCurrentBranch, branchExists } from './git.js';
+
+async function getIssue(issueId) {
+  const query = `
+    query GetIssueBranch($id: String!) {
+      issue(id: $id) {
+        id
+        identifier
+        title
+        branchName
+        url
+        team {
+          id
+          key
+        }
+        state {
+          id
+          name
+          type
+        }
+        assignee {
+          id
+          name
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { id: issueId });
+  return data.issue;
+}
+
+async function getViewer() {
+  const query = `
+    query GetViewer {
+      viewer {
+        id
+        name
+        email
+      }
+    }
+  `;
+
+  const data = await makeRequest(query);
+  return data.viewer;
+}
+
+/**
+ * Check out the issue's branch, creating it (or tracking the remote one) when needed
+ * @returns {string} - 'current', 'checked out', 'tracked' or 'created'
+ */
+function checkoutBranch(branchName, base) {
+  if (getCurrentBranch() === branchName) {
+    return 'current';
+  }
+
+  if (branchExists(`refs/heads/${branchName}`)) {
+    git(['checkout', branchName]);
+    return 'checked out';
+  }
+
+  const remote = git(['for-each-ref', '--format=%(refname:short)', `refs/remotes/*/${branchName}`]).split('\n').filter(Boolean)[0];
+  if (remote) {
+    git(['checkout', '-b', branchName, '--track', remote]);
+    return 'tracked';
+  }
+
+  git(['checkout', '-b', branchName, ...(base ? [base] : [])]);
+  return 'created';
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const issueId = args._positional?.[0];
+
+  if (!issueId) {
+    console.error('Usage: ./start.js <ISSUE_ID> [--base BRANCH] [--status STATE] [--no-assign] [--no-status]');
+    console.error('Example: ./start.js ENG-123');
+    process.exit(1);
+  }
+
+  try {
+    // Check git before touching Linear so a failure leaves the issue unchanged
+    assertGitRepository();
+
+    const [issue, viewer] = await Promise.all([getIssue(issueId), getViewer()]);
+    if (!issue) {
+      throw new Error(`Issue '${issueId}' not found`);
+    }
+    if (!issue.branchName) {
+      throw new Error(`Linear has no branch name for ${issue.identifier}`);
+    }
+
+    const branchResult = checkoutBranch(issue.branchName, typeof args.base === 'string' ? args.base : null);
+
+    const input = {};
+    if (!args['no-assign'] && issue.assignee?.id !== viewer.id) {
+      input.assigneeId = viewer.id;
+    }
+
+    // Only move issues that haven't started yet, unless a state was asked for explicitly
+    const explicitStatus = typeof args.status === 'string' ? args.status : null;
+    if (!args['no-status'] && (explicitStatus || ['triage', 'backlog', 'unstarted'].includes(issue.state.type))) {
+      const stateId = await getWorkflowStateId(issue.team.id, explicitStatus || 'started');
+      if (!stateId) {
+        throw new Error(`No '${explicitStatus || 'started'}' state found for team ${issue.team.key}`);
+      }
+      if (stateId !== issue.state.id) {
+        input.stateId = stateId;
+      }
+    }
+
+    let updated = issue;
+    if (Object.keys(input).length > 0) {
+      const mutation = `
+        mutation StartIssue($id: String!, $input: IssueUpdateInput!) {
+          issueUpdate(id: $id, input: $input) {
+            success
+            issue {
+              id
+              identifier
+              title
+              branchName
+              url
+              state {
+                id
+                name
+                type
+              }
+              assignee {
+                id
+                name
+              }
+            }
+          }
+        }
+      `;
+
+      const data = await makeRequest(mutation, { id: issue.id, input });
+      if (!data.issueUpdate.success) {
+        throw new Error(`Checked out ${issue.branchName} but failed to update ${issue.identifier}`);
+      }
+      updated = data.issueUpdate.issue;
+    }
+
+    if (args.json) {
+      formatOutput({
+        identifier: updated.identifier,
+        title: updated.title,
+        branch: issue.branchName,
+        branchResult,
+        state: updated.state.name,
+        assignee: updated.assignee?.name || null,
+        url: updated.url
+      }, 'json');
+      return;
+    }
+
+    const branchMessages = {
+      'current': 'Already on',
+      'checked out': 'Checked out',
+      'tracked': 'Checked out remote branch',
+      'created': 'Created branch'
+    };
+    console.log(`🚀 ${updated.identifier} - ${updated.title}`);
+    console.log(`   ${branchMessages[branchResult]} ${issue.branchName}`);
+    if (input.assigneeId) {
+      console.log(`   ✅ Assigned to ${viewer.name}`);
+    }
+    if (input.stateId) {
+      console.log(`   ✅ Moved from ${issue.state.name} to ${updated.state.name}`);
+    } else {
+      console.log(`   Status: ${updated.state.name}`);
+    }
+    console.log(`   URL: ${updated.url}`);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * List, create and rename the workflow states of a Linear team
+ *
+ * Usage:
+ *   ./states.js ENG                                        # States with type, position and color
+ *   ./states.js ENG --create "In Review" --type started --color "#f2c94c"
+ *   ./states.js ENG --create "QA" --type started --position 3 --description "Waiting on QA"
+ *   ./states.js ENG --update "In Review" --name "Code Review"   # Rename
+ *   ./states.js ENG --update "QA" --color "#4ea7fc" --position 2
+ *   ./states.js ENG --json                                 # JSON output
+ */
+
+import { makeRequest, parseArgs, formatOutput, closestMatch } from './linear-api.js';
+
+// Order Linear shows state types in, with the color new states get by default
+const STATE_TYPES = {
+  triage: '#fc7840',
+  backlog: '#bec2c8',
+  unstarted: '#e2e2e2',
+  started: '#f2c94c',
+  completed: '#5e6ad2',
+  canceled: '#95a2b3'
+};
+
+const STATE_FIELDS = `
+  id
+  name
+  type
+  position
+  color
+  description
+`;
+
+async function getTeamStates(teamKey) {
+  const query = `
+    query GetTeamStates($teamId: String!) {
+      team(id: $teamId) {
+        id
+        key
+        name
+        states {
+          nodes {
+            ${STATE_FIELDS}
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query, { teamId: teamKey });
+  const types = Object.keys(STATE_TYPES);
+  const states = data.team.states.nodes
+    .sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type) || a.position - b.position);
+
+  return { team: data.team, states };
+}
+
+async function createState(input) {
+  const mutation = `
+    mutation WorkflowStateCreate($input: WorkflowStateCreateInput!) {
+      workflowStateCreate(input: $input) {
+        success
+        workflowState {
+          ${STATE_FIELDS}
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { input });
+  if (!data.workflowStateCreate.success) {
+    throw new Error('Failed to create workflow state');
+  }
+  return data.workflowStateCreate.workflowState;
+}
+
+async function updateState(id, input) {
+  const mutation = `
+    mutation WorkflowStateUpdate($id: String!, $input: WorkflowStateUpdateInput!) {
+      workflowStateUpdate(id: $id, input: $input) {
+        success
+        workflowState {
+          ${STATE_FIELDS}
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(mutation, { id, input });
+  if (!data.workflowStateUpdate.success) {
+    throw new Error('Failed to update workflow state');
+  }
+  return data.workflowStateUpdate.workflowState;
+}
+
+/**
+ * Find a team's state by name, suggesting the closest one on a typo
+ */
+function findState(team, states, name) {
+  const state = states.find(s => s.name.toLowerCase() === name.toLowerCase());
+  if (!state) {
+    const suggestion = closestMatch(name, states.map(s => s.name));
+    throw new Error(`State '${name}' not found in team ${team.key}` + (suggestion ? `. Did you mean '${suggestion}'?` : ''));
+  }
+  return state;
+}
+
+/**
+ * Read --color, --position and --description into a state input
+ */
+function stateOptions(args) {
+  const input = {};
+
+  if (args.color !== undefined) {
+    if (typeof args.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(args.color)) {
+      throw new Error(`Invalid color '${args.color}'. Use a hex color like "#f2c94c"`);
+    }
+    input.color = args.color;
+  }
+  if (args.position !== undefined) {
+    const position = Number(args.position);
+    if (typeof args.position !== 'string' || !Number.isFinite(position)) {
+      throw new Error(`Invalid position '${args.position}'. Use a number, e.g. --position 2`);
+    }
+    input.position = position;
+  }
+  if (typeof args.description === 'string') {
+    input.description = args.description;
+  }
+
+  return input;
+}
+
+function printState(state) {
+  const description = state.description ? ` - ${state.description}` : '';
+  console.log(`  ${state.name.padEnd(20)} ${state.type.padEnd(10)} ${String(state.position).padStart(5)}  ${state.color}${description}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const teamKey = args._positional?.[0];
+
+  if (!teamKey) {
+    console.error('Usage: ./states.js TEAM [--create NAME --type TYPE | --update NAME [--name NAME]] [--color HEX] [--position N] [--description TEXT] [--json]');
+    console.error('Example: ./states.js ENG --create "In Review" --type started');
+    process.exit(1);
+  }
+
+  try {
+    const { team, states } = await getTeamStates(teamKey);
+
+    // Create a state
+    if (args.create) {
+      if (typeof args.create !== 'string') {
+        throw new Error('State name required for --create');
+      }
+      if (typeof args.type !== 'string' || !(args.type.toLowerCase() in STATE_TYPES)) {
+        throw new Error(`--type must be one of: ${Object.keys(STATE_TYPES).join(', ')}`);
+      }
+
+      const type = args.type.toLowerCase();
+      const input = { teamId: team.id, name: args.create, type, color: STATE_TYPES[type], ...stateOptions(args) };
+      const state = await createState(input);
+
+      if (args.json) {
+        formatOutput(state, 'json');
+      } else {
+        console.log(`✅ State created in ${team.key}`);
+        printState(state);
+      }
+      return;
+    }
+
+    // Rename, recolor or move a state
+    if (args.update) {
+      if (typeof args.update !== 'string') {
+        throw new Error('State name required for --update');
+      }
+
+      const state = findState(team, states, args.update);
+      const input = stateOptions(args);
+      if (typeof args.name === 'string') {
+        input.name = args.name;
+      }
+      if (Object.keys(input).length === 0) {
+        throw new Error('No updates specified. Use --name, --color, --position or --description');
+      }
+
+      const updated = await updateState(state.id, input);
+      if (args.json) {
+        formatOutput(updated, 'json');
+      } else {
+        console.log(`✅ State updated in ${team.key}`);
+        if (input.name) {
+          console.log(`   Renamed from ${state.name}`);
+        }
+        printState(updated);
+      }
+      return;
+    }
+
+    // List states
+    if (args.json) {
+      formatOutput(states, 'json');
+      return;
+    }
+
+    console.log(`${team.name} (${team.key}): ${states.length} workflow states\n`);
+    console.log(`  ${'Name'.padEnd(20)} ${'Type'.padEnd(10)} ${'Pos'.padStart(5)}  Color`);
+    states.forEach(printState);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
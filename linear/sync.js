@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Mirror Linear issues, comments, projects and users to local JSONL files
+ *
+ * Each run only fetches records updated since the previous sync. The mirror is used by
+ * issues.js and issue.js with --offline.
+ *
+ * Usage:
+ *   ./sync.js                       # Incremental sync of everything
+ *   ./sync.js --full                # Re-download everything (picks up deleted records)
+ *   ./sync.js --only issues,comments
+ *   ./sync.js --status              # Show what is mirrored and when it was synced
+ *   ./sync.js --json                # JSON output
+ */
+
+import fs from 'fs';
+import { paginate, parseArgs, formatOutput, formatDate } from './linear-api.js';
+import {
+  MIRROR_DIR, COLLECTIONS, readSyncState, writeSyncState, loadCollection, saveCollection, describeSyncAge
+} from './mirror.js';
+
+// Fields mirrored per collection; issues match the shape issues.js and issue.js display
+const collectionQueries = {
+  users: {
+    connection: 'users',
+    extraArgs: 'includeDisabled: true',
+    pageSize: 250,
+    fields: `
+      id
+      name
+      displayName
+      email
+      active
+      admin
+      updatedAt
+    `
+  },
+  projects: {
+    connection: 'projects',
+    extraArgs: 'includeArchived: true',
+    pageSize: 100,
+    fields: `
+      id
+      name
+      description
+      state
+      progress
+      startDate
+      targetDate
+      url
+      updatedAt
+      archivedAt
+      lead {
+        name
+        email
+      }
+      teams {
+        nodes {
+          key
+        }
+      }
+    `
+  },
+  issues: {
+    connection: 'issues',
+    extraArgs: 'includeArchived: true',
+    pageSize: 50,
+    fields: `
+      id
+      identifier
+      title
+      description
+      priority
+      estimate
+      createdAt
+      updatedAt
+      completedAt
+      canceledAt
+      archivedAt
+      dueDate
+      url
+      state {
+        name
+        type
+      }
+      assignee {
+        name
+        email
+      }
+      creator {
+        name
+        email
+      }
+      team {
+        id
+        key
+        name
+      }
+      project {
+        id
+        name
+      }
+      cycle {
+        number
+        startsAt
+        endsAt
+      }
+      parent {
+        id
+        identifier
+        title
+      }
+      labels {
+        nodes {
+          name
+          color
+        }
+      }
+      relations {
+        nodes {
+          id
+          type
+          relatedIssue {
+            identifier
+            title
+            state {
+              name
+            }
+          }
+        }
+      }
+      inverseRelations {
+        nodes {
+          id
+          type
+          issue {
+            identifier
+            title
+            state {
+              name
+            }
+          }
+        }
+      }
+      attachments {
+        nodes {
+          id
+          title
+          url
+          subtitle
+        }
+      }
+    `
+  },
+  comments: {
+    connection: 'comments',
+    extraArgs: '',
+    pageSize: 100,
+    fields: `
+      id
+      body
+      createdAt
+      updatedAt
+      editedAt
+      user {
+        name
+        email
+      }
+      issue {
+        id
+        identifier
+      }
+      parent {
+        id
+      }
+    `
+  }
+};
+
+/**
+ * Fetch records of a collection updated at or after `since` (all records if null)
+ */
+async function fetchUpdated(name, since) {
+  const { connection, extraArgs, pageSize, fields } = collectionQueries[name];
+  const filterVariable = since ? ', $since: DateTimeOrDuration' : '';
+  const filter = since ? ', filter: { updatedAt: { gte: $since } }' : '';
+
+  const query = `
+    query Sync${connection[0].toUpperCase()}${connection.slice(1)}($first: Int!, $after: String${filterVariable}) {
+      ${connection}(first: $first, after: $after, orderBy: updatedAt${filter}${extraArgs ? `, ${extraArgs}` : ''}) {
+        nodes {
+          ${fields.trim()}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  return paginate(query, since ? { since } : {}, data => data[connection], { pageSize });
+}
+
+async function syncCollection(name, state, full) {
+  const previous = full ? null : state[name];
+  const records = full ? new Map() : loadCollection(name);
+  const startedAt = new Date().toISOString();
+
+  const updated = await fetchUpdated(name, previous?.since || null);
+  updated.forEach(record => records.set(record.id, record));
+
+  // Next run starts from the newest change seen, so clock skew can't skip records
+  const newest = updated.reduce((max, r) => r.updatedAt > max ? r.updatedAt : max, previous?.since || '');
+
+  saveCollection(name, records);
+  state[name] = {
+    since: newest || startedAt,
+    syncedAt: startedAt,
+    count: records.size
+  };
+  writeSyncState(state);
+
+  return { collection: name, updated: updated.length, total: records.size };
+}
+
+function printStatus(state) {
+  console.log(`Local mirror: ${MIRROR_DIR}`);
+  console.log(`Status: ${describeSyncAge(state)}\n`);
+
+  COLLECTIONS.forEach(name => {
+    const entry = state[name];
+    if (!entry) {
+      console.log(`  ${name}: not synced`);
+      return;
+    }
+    let size = 0;
+    try {
+      size = fs.statSync(`${MIRROR_DIR}/${name}.jsonl`).size;
+    } catch (error) {
+      // Missing file counts as empty
+    }
+    console.log(`  ${name}: ${entry.count} records, ${(size / 1024).toFixed(0)} KB, synced ${formatDate(entry.syncedAt)}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const state = readSyncState();
+
+    if (args.status) {
+      if (args.json) {
+        formatOutput({ directory: MIRROR_DIR, ...state }, 'json');
+      } else {
+        printStatus(state);
+      }
+      return;
+    }
+
+    let collections = COLLECTIONS;
+    if (typeof args.only === 'string') {
+      collections = args.only.split(',').map(c => c.trim().toLowerCase());
+      const unknown = collections.filter(c => !COLLECTIONS.includes(c));
+      if (unknown.length > 0) {
+        console.error(`Unknown collection '${unknown.join(', ')}'. Valid collections: ${COLLECTIONS.join(', ')}`);
+        process.exit(1);
+      }
+    }
+
+    const results = [];
+    for (const name of collections) {
+      const incremental = !args.full && state[name];
+      if (!args.json) {
+        console.log(`🔄 Syncing ${name}${incremental ? ` changed since ${formatDate(state[name].since)}` : ' (full)'}...`);
+      }
+      const result = await syncCollection(name, state, args.full);
+      results.push(result);
+      if (!args.json) {
+        console.log(`   ${result.updated} updated, ${result.total} total`);
+      }
+    }
+
+    if (args.json) {
+      formatOutput(results, 'json');
+    } else {
+      console.log(`\n✅ Mirror up to date in ${MIRROR_DIR}`);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -5,14 +5,16 @@
  * 
  * Usage:
  *   ./teams.js              # List all teams
+ *   ./teams.js --all        # Fetch all pages
+ *   ./teams.js --limit 100  # Limit results (default: 50)
  *   ./teams.js --json       # JSON output
  */
 
-import { makeRequest, parseArgs, formatOutput } from './linear-api.js';
+import { paginate, getLimit, parseArgs, formatOutput } from './linear-api.js';
 
 const query = `
-  query GetTeams {
-    teams {
+  query GetTeams($first: Int!, $after: String) {
+    teams(first: $first, after: $after) {
       nodes {
         id
         key
@@ -25,6 +27,10 @@ const query = `
           endsAt
         }
       }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
     }
   }
 `;
@@ -33,8 +39,7 @@ async function main() {
   const args = parseArgs(process.argv.slice(2));
   
   try {
-    const data = await makeRequest(query);
-    const teams = data.teams.nodes;
+    const teams = await paginate(query, {}, data => data.teams, { limit: getLimit(args, 50) });
     
     if (args.json) {
       formatOutput(teams, 'json');
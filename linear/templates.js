@@ -0,0 +1,190 @@
+/**
+ * Issue templates for create-issue.js
+ *
+ * A template is a Markdown file with optional front-matter defaults:
+ *
+ *   ---
+ *   title: "Bug: {{summary}}"
+ *   team: ENG
+ *   labels: [bug]
+ *   priority: high
+ *   project: Q3 Launch
+ *   estimate: 3
+ *   due: end of cycle
+ *   ---
+ *   ## Steps to reproduce
+ *   {{steps}}
+ *
+ * `{{name}}` placeholders are required and `{{name?}}` ones may be left empty.
+ * Templates are looked up in .linear/templates/ of the current project, then in the
+ * skill's templates/ directory. Linear's own team templates are available through the API.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { makeRequest } from './linear-api.js';
+
+const SKILL_TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+export const TEMPLATE_DIRS = [
+  path.join(process.cwd(), '.linear', 'templates'),
+  SKILL_TEMPLATES_DIR
+];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w-]*)(\?)?\s*\}\}/g;
+
+function parseScalar(value) {
+  const trimmed = value.trim();
+  if (/^".*"$/.test(trimmed)) {
+    return JSON.parse(trimmed);
+  }
+  if (/^'.*'$/.test(trimmed)) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed;
+}
+
+/**
+ * Parse the small YAML subset used in template front-matter:
+ * `key: value`, `key: [a, b]` and `key:` followed by `- item` lines
+ */
+function parseFrontMatter(text, file) {
+  const data = {};
+  let listKey = null;
+
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const entry = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (!entry) {
+      throw new Error(`Invalid front-matter in ${file} on line ${index + 2}: ${line}`);
+    }
+
+    const [, key, value] = entry;
+    listKey = null;
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      data[key] = value.trim().slice(1, -1).split(',').map(parseScalar).filter(Boolean);
+    } else {
+      data[key] = parseScalar(value);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Read a template file
+ * @returns {{name: string, file: string, defaults: object, body: string}}
+ */
+export function readTemplate(file) {
+  const text = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+  const match = text.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+
+  return {
+    name: path.basename(file, '.md'),
+    file,
+    defaults: match ? parseFrontMatter(match[1], file) : {},
+    body: (match ? match[2] : text).trim()
+  };
+}
+
+/**
+ * List local templates; project templates hide skill templates of the same name
+ * @returns {object[]} - Templates as returned by readTemplate
+ */
+export function listLocalTemplates() {
+  const templates = new Map();
+
+  for (const dir of TEMPLATE_DIRS) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort();
+    } catch (error) {
+      continue;
+    }
+    for (const file of files) {
+      const name = path.basename(file, '.md').toLowerCase();
+      if (!templates.has(name)) {
+        templates.set(name, readTemplate(path.join(dir, file)));
+      }
+    }
+  }
+
+  return [...templates.values()];
+}
+
+/**
+ * Find a local template by name (bug, feature) or path to a .md file
+ * @returns {object|null} - Template, or null if there is none by that name
+ */
+export function findLocalTemplate(nameOrPath) {
+  if (nameOrPath.endsWith('.md') || nameOrPath.includes('/')) {
+    if (!fs.existsSync(nameOrPath)) {
+      throw new Error(`Template file not found: ${nameOrPath}`);
+    }
+    return readTemplate(nameOrPath);
+  }
+
+  return listLocalTemplates().find(t => t.name.toLowerCase() === nameOrPath.toLowerCase()) || null;
+}
+
+/**
+ * Get issue templates configured in Linear, optionally only those available to a team
+ * @param {string} teamId - Team ID; workspace-wide templates are always included
+ */
+export async function getIssueTemplates(teamId = null) {
+  const query = `
+    query GetTemplates {
+      templates {
+        id
+        name
+        description
+        type
+        team {
+          id
+          key
+        }
+      }
+    }
+  `;
+
+  const data = await makeRequest(query);
+  return data.templates
+    .filter(t => t.type === 'issue')
+    .filter(t => !teamId || !t.team || t.team.id === teamId);
+}
+
+/**
+ * Placeholders used in a template's title and body, in order of appearance
+ * @returns {{name: string, optional: boolean}[]}
+ */
+export function listPlaceholders(template) {
+  const placeholders = new Map();
+  const text = `${template.defaults.title || ''}\n${template.body}`;
+
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    const [, name, optional] = match;
+    const existing = placeholders.get(name);
+    // A placeholder is required if any occurrence is
+    placeholders.set(name, { name, optional: Boolean(optional) && (!existing || existing.optional) });
+  }
+
+  return [...placeholders.values()];
+}
+
+/**
+ * Replace placeholders with values; missing optional ones become empty
+ */
+export function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER, (_, name) => values[name] ?? '');
+}
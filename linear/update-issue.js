@@ -11,10 +11,17 @@
  *   ./update-issue.js ISSUE_ID --description "New description"
  *   ./update-issue.js ISSUE_ID --attachment "https://example.com/file.png"
  *   ./update-issue.js ISSUE_ID --attachment "https://example.com/file1.png" --attachment "https://example.com/file2.pdf"
+ *   ./update-issue.js ISSUE_ID --attachment /path/to/screenshot.png --attachment /path/to/crash.log
+ *   ./update-issue.js ISSUE_ID --label bug --remove-label triage
+ *   ./update-issue.js ISSUE_ID --cycle next
+ *   ./update-issue.js ISSUE_ID --parent ENG-123
+ *   ./update-issue.js ISSUE_ID --estimate 3                # Validated against the team's estimate scale
+ *   ./update-issue.js ISSUE_ID --due "next friday"         # Or YYYY-MM-DD, "in 2 weeks", "end of cycle"
+ *   ./update-issue.js ISSUE_ID --clear-due
+ *   ./update-issue.js ISSUE_ID --milestone "Beta"          # Milestone of the issue's project (or none)
  */
 
-import { makeRequest, parseArgs, getUserId, getWorkflowStateId, formatOutput, formatDate, processLocalImagesForDescription, createAttachment } from './linear-api.js';
-import path from 'path';
+import { makeRequest, parseArgs, getUserId, getWorkflowStateId, formatOutput, formatDate, processLocalImagesForDescription, processAttachments, resolveLabels, resolveCycle, formatCycle, resolveEstimate, resolveDueDate, getTeamEstimation, formatEstimate, resolveMilestone, describeInvalidStatus } from './linear-api.js';
 
 const priorities = {
   'urgent': 1,
@@ -40,6 +47,10 @@ async function getIssue(issueId) {
           key
           name
         }
+        project {
+          id
+          name
+        }
         state {
           id
           name
@@ -50,6 +61,16 @@ async function getIssue(issueId) {
           name
           email
         }
+        labels {
+          nodes {
+            id
+            name
+            parent {
+              id
+              name
+            }
+          }
+        }
       }
     }
   `;
@@ -75,8 +96,8 @@ async function getCurrentIssueDescription(issueId) {
 }
 
 async function updateIssue(issueId, updates, currentIssue, attachments = []) {
-  // Process local images for embedding and separate URL attachments
-  let urlAttachments = [];
+  // Upload local images for embedding and keep other files and URLs as attachments
+  let fileAttachments = [];
   let descriptionAddition = '';
   
   if (attachments && attachments.length > 0) {
@@ -85,8 +106,8 @@ async function updateIssue(issueId, updates, currentIssue, attachments = []) {
     // Add embedded images to description
     descriptionAddition = markdown;
     
-    // Keep URL attachments for later processing
-    urlAttachments = remaining.filter(att => att.startsWith('http://') || att.startsWith('https://'));
+    // Keep URLs and non-image files for attachment records
+    fileAttachments = remaining;
     
     // If we have embedded images, update the description
     if (markdown) {
@@ -113,6 +134,8 @@ async function updateIssue(issueId, updates, currentIssue, attachments = []) {
           identifier
           title
           priority
+          estimate
+          dueDate
           state {
             name
           }
@@ -120,6 +143,24 @@ async function updateIssue(issueId, updates, currentIssue, attachments = []) {
             name
             email
           }
+          labels {
+            nodes {
+              name
+            }
+          }
+          cycle {
+            number
+            name
+            startsAt
+            endsAt
+          }
+          projectMilestone {
+            name
+          }
+          parent {
+            identifier
+            title
+          }
           updatedAt
         }
       }
@@ -134,20 +175,8 @@ async function updateIssue(issueId, updates, currentIssue, attachments = []) {
   
   const issue = data.issueUpdate.issue;
   
-  // Process URL attachments after issue update
-  const attachmentResults = [];
-  for (const urlAttachment of urlAttachments) {
-    try {
-      console.log(`📎 Creating attachment for ${urlAttachment}...`);
-      const filename = path.basename(new URL(urlAttachment).pathname) || 'Attachment';
-      const attachmentId = await createAttachment(issueId, filename, urlAttachment);
-      attachmentResults.push(`✅ Created attachment: ${filename}`);
-      console.log(`✅ Created attachment: ${filename} (${attachmentId})`);
-    } catch (error) {
-      console.error(`❌ Failed to create attachment for ${urlAttachment}: ${error.message}`);
-      attachmentResults.push(`❌ Failed: ${path.basename(urlAttachment)} - ${error.message}`);
-    }
-  }
+  // Upload files and create attachment records after issue update
+  const attachmentResult = await processAttachments(issueId, fileAttachments);
   
   // Build attachment result message
   const resultParts = [];
@@ -156,8 +185,8 @@ async function updateIssue(issueId, updates, currentIssue, attachments = []) {
     resultParts.push('✅ Images embedded in description');
   }
   
-  if (attachmentResults.length > 0) {
-    resultParts.push('\n**📎 URL Attachment Results:**\n' + attachmentResults.join('\n'));
+  if (attachmentResult) {
+    resultParts.push(attachmentResult.trimStart());
   }
   
   if (resultParts.length > 0) {
@@ -180,6 +209,14 @@ async function main() {
     console.error('  --priority <priority>   Set priority (urgent/high/medium/low/none)');
     console.error('  --title <title>         Update title');
     console.error('  --description <desc>    Update description');
+    console.error('  --label <name>          Add label, "Group/Label" for grouped labels (can be used multiple times)');
+    console.error('  --remove-label <name>   Remove label (can be used multiple times)');
+    console.error('  --cycle <cycle>         Move to cycle (current/next/previous/NUMBER, or none)');
+    console.error('  --parent <issue_id>     Move under a parent issue (or none to detach)');
+    console.error('  --estimate <value>      Set estimate (points or t-shirt size, or none)');
+    console.error('  --due <date>            Set due date (YYYY-MM-DD, "next friday", "in 2 weeks", "end of cycle")');
+    console.error('  --clear-due             Remove the due date');
+    console.error('  --milestone <name>      Move to a milestone of the issue\'s project (or none)');
     console.error('  --attachment <file>     Add file attachment (can be used multiple times)');
     console.error('');
     console.error('Example: ./update-issue.js ENG-123 --status "In Progress" --priority high');
@@ -205,8 +242,7 @@ async function main() {
     if (args.status) {
       const stateId = await getWorkflowStateId(issue.team.id, args.status);
       if (!stateId) {
-        console.error(`Invalid status '${args.status}' for team ${issue.team.key}`);
-        console.error('Valid statuses: backlog, todo, in_progress, done, canceled');
+        console.error(await describeInvalidStatus(issue.team.id, issue.team.key, args.status));
         process.exit(1);
       }
       updates.stateId = stateId;
@@ -258,6 +294,122 @@ async function main() {
       console.log(`📄 Updating description`);
     }
     
+    // Handle label changes
+    if (args.label || args['remove-label']) {
+      const currentLabels = issue.labels.nodes;
+      let labelIds = currentLabels.map(l => l.id);
+      
+      if (args.label) {
+        const labelNames = Array.isArray(args.label) ? args.label : [args.label];
+        const labels = await resolveLabels(issue.team.id, labelNames);
+        
+        for (const label of labels) {
+          // Adding a grouped label replaces any other label from the same group
+          if (label.parent) {
+            labelIds = labelIds.filter(id => currentLabels.find(l => l.id === id)?.parent?.id !== label.parent.id);
+          }
+          if (!labelIds.includes(label.id)) {
+            labelIds.push(label.id);
+          }
+        }
+        console.log(`🏷️  Adding labels: ${labels.map(l => l.name).join(', ')}`);
+      }
+      
+      if (args['remove-label']) {
+        const labelNames = Array.isArray(args['remove-label']) ? args['remove-label'] : [args['remove-label']];
+        
+        for (const labelName of labelNames) {
+          const normalized = labelName.toLowerCase();
+          const label = currentLabels.find(l =>
+            l.name.toLowerCase() === normalized ||
+            (l.parent && `${l.parent.name}/${l.name}`.toLowerCase() === normalized)
+          );
+          if (!label) {
+            console.error(`Label '${labelName}' is not applied to ${issue.identifier}`);
+            process.exit(1);
+          }
+          labelIds = labelIds.filter(id => id !== label.id);
+        }
+        console.log(`🏷️  Removing labels: ${labelNames.join(', ')}`);
+      }
+      
+      updates.labelIds = labelIds;
+      hasUpdates = true;
+    }
+    
+    // Handle cycle update
+    if (args.cycle) {
+      if (args.cycle.toLowerCase() === 'none') {
+        updates.cycleId = null;
+        console.log(`🔄 Removing from cycle`);
+      } else {
+        const cycle = await resolveCycle(issue.team.id, args.cycle);
+        updates.cycleId = cycle.id;
+        console.log(`🔄 Moving to ${formatCycle(cycle)}`);
+      }
+      hasUpdates = true;
+    }
+    
+    // Handle re-parenting
+    if (args.parent) {
+      if (args.parent.toLowerCase() === 'none') {
+        updates.parentId = null;
+        console.log(`⬆️  Removing parent issue`);
+      } else {
+        const parent = await getIssue(args.parent);
+        if (!parent) {
+          console.error(`Parent issue '${args.parent}' not found`);
+          process.exit(1);
+        }
+        if (parent.id === issue.id) {
+          console.error('An issue cannot be its own parent');
+          process.exit(1);
+        }
+        updates.parentId = parent.id;
+        console.log(`⬆️  Moving under ${parent.identifier} - ${parent.title}`);
+      }
+      hasUpdates = true;
+    }
+    
+    // Handle estimate
+    if (args.estimate !== undefined) {
+      updates.estimate = await resolveEstimate(issue.team.id, args.estimate);
+      hasUpdates = true;
+      console.log(updates.estimate === null ? `📏 Removing estimate` : `📏 Setting estimate to: ${args.estimate}`);
+    }
+    
+    // Handle due date
+    if (args['clear-due']) {
+      updates.dueDate = null;
+      hasUpdates = true;
+      console.log(`📅 Removing due date`);
+    } else if (args.due) {
+      updates.dueDate = await resolveDueDate(issue.team.id, args.due);
+      hasUpdates = true;
+      console.log(`📅 Setting due date to: ${updates.dueDate}`);
+    }
+    
+    // Handle milestone
+    if (args.milestone) {
+      if (typeof args.milestone !== 'string') {
+        console.error('Milestone name required for --milestone (or none)');
+        process.exit(1);
+      }
+      if (args.milestone.toLowerCase() === 'none') {
+        updates.projectMilestoneId = null;
+        console.log(`🏁 Removing from milestone`);
+      } else {
+        if (!issue.project) {
+          console.error(`${issue.identifier} is not in a project, so it can't be added to a milestone`);
+          process.exit(1);
+        }
+        const milestone = await resolveMilestone(issue.project.id, args.milestone);
+        updates.projectMilestoneId = milestone.id;
+        console.log(`🏁 Moving to milestone: ${milestone.name} (${issue.project.name})`);
+      }
+      hasUpdates = true;
+    }
+    
     // Handle attachments
     let attachments = [];
     if (args.attachment) {
@@ -271,7 +423,7 @@ async function main() {
     }
     
     if (!hasUpdates) {
-      console.error('No updates specified. Use --status, --assignee, --priority, --title, --description, or --attachment');
+      console.error('No updates specified. Use --status, --assignee, --priority, --title, --description, --label, --remove-label, --cycle, --parent, --estimate, --due, --clear-due, --milestone, or --attachment');
       process.exit(1);
     }
     
@@ -293,6 +445,31 @@ async function main() {
       
       const priorityNames = ['None', 'Urgent', 'High', 'Medium', 'Low'];
       console.log(`Priority: ${priorityNames[updatedIssue.priority] || 'Unknown'}`);
+      
+      if (updatedIssue.labels.nodes.length > 0) {
+        console.log(`Labels: ${updatedIssue.labels.nodes.map(l => l.name).join(', ')}`);
+      }
+      
+      if (updatedIssue.cycle) {
+        console.log(`Cycle: ${formatCycle(updatedIssue.cycle)}`);
+      }
+      
+      if (updatedIssue.projectMilestone) {
+        console.log(`Milestone: ${updatedIssue.projectMilestone.name}`);
+      }
+      
+      if (updatedIssue.estimate !== null && updatedIssue.estimate !== undefined) {
+        const estimation = await getTeamEstimation(issue.team.id);
+        console.log(`Estimate: ${formatEstimate(updatedIssue.estimate, estimation.issueEstimationType)}`);
+      }
+      
+      if (updatedIssue.dueDate) {
+        console.log(`Due: ${updatedIssue.dueDate}`);
+      }
+      
+      if (updatedIssue.parent) {
+        console.log(`Parent: ${updatedIssue.parent.identifier} - ${updatedIssue.parent.title}`);
+      }
       console.log(`Updated: ${formatDate(updatedIssue.updatedAt)}`);
       
       // Display attachment results if any
@@ -7,26 +7,7 @@
  *   ./update-project.js PROJECT_NAME --description "New description"
  */
 
-import { makeRequest, parseArgs, formatOutput } from './linear-api.js';
-
-async function findProjectByName(projectName) {
-  const query = `
-    query GetProjects {
-      projects {
-        nodes {
-          id
-          name
-          description
-        }
-      }
-    }
-  `;
-  
-  const data = await makeRequest(query);
-  return data.projects.nodes.find(p => 
-    p.name.toLowerCase() === projectName.toLowerCase()
-  );
-}
+import { makeRequest, parseArgs, findProjectByName, formatOutput } from './linear-api.js';
 
 async function updateProject(projectId, updates) {
   const mutation = `
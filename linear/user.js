@@ -6,10 +6,12 @@
  * Usage:
  *   ./user.js                    # Current user info
  *   ./user.js email@domain.com   # Specific user info
+ *   ./user.js --all              # Show all active assigned issues
+ *   ./user.js --limit 100        # Limit assigned issues fetched (default: 50)
  *   ./user.js --json             # JSON output
  */
 
-import { makeRequest, parseArgs, formatOutput, formatDate } from './linear-api.js';
+import { makeRequest, paginate, getLimit, getUserId, parseArgs, formatOutput, formatDate } from './linear-api.js';
 
 async function getCurrentUser() {
   const query = `
@@ -30,7 +32,7 @@ async function getCurrentUser() {
           name
           urlKey
         }
-        assignedIssues {
+        createdIssues {
           nodes {
             id
             identifier
@@ -40,6 +42,42 @@ async function getCurrentUser() {
             }
           }
         }
+        teamMemberships {
+          nodes {
+            team {
+              key
+              name
+            }
+          }
+        }
+      }
+    }
+  `;
+  
+  const data = await makeRequest(query);
+  return data.viewer;
+}
+
+async function getUserByEmail(email) {
+  const userId = await getUserId(email);
+  if (!userId) {
+    return null;
+  }
+  
+  const query = `
+    query GetUser($id: String!) {
+      user(id: $id) {
+        id
+        name
+        displayName
+        email
+        avatarUrl
+        active
+        admin
+        guest
+        createdAt
+        lastSeen
+        timezone
         createdIssues {
           nodes {
             id
@@ -62,61 +100,37 @@ async function getCurrentUser() {
     }
   `;
   
-  const data = await makeRequest(query);
-  return data.viewer;
+  const data = await makeRequest(query, { id: userId });
+  return data.user;
 }
 
-async function getUserByEmail(email) {
+async function getActiveAssignedIssues(userId, limit) {
   const query = `
-    query GetUsers {
-      users {
-        nodes {
-          id
-          name
-          displayName
-          email
-          avatarUrl
-          active
-          admin
-          guest
-          createdAt
-          lastSeen
-          timezone
-          assignedIssues {
-            nodes {
-              id
-              identifier
-              title
-              state {
-                name
-              }
-            }
-          }
-          createdIssues {
-            nodes {
-              id
-              identifier
-              title
-              state {
-                name
-              }
+    query GetAssignedIssues($id: String!, $first: Int!, $after: String) {
+      user(id: $id) {
+        assignedIssues(
+          first: $first,
+          after: $after,
+          filter: { state: { type: { nin: ["completed", "canceled"] } } }
+        ) {
+          nodes {
+            id
+            identifier
+            title
+            state {
+              name
             }
           }
-          teamMemberships {
-            nodes {
-              team {
-                key
-                name
-              }
-            }
+          pageInfo {
+            hasNextPage
+            endCursor
           }
         }
       }
     }
   `;
   
-  const data = await makeRequest(query);
-  return data.users.nodes.find(u => u.email.toLowerCase() === email.toLowerCase());
+  return paginate(query, { id: userId }, data => data.user?.assignedIssues, { limit });
 }
 
 async function main() {
@@ -136,6 +150,10 @@ async function main() {
       user = await getCurrentUser();
     }
     
+    user.assignedIssues = {
+      nodes: await getActiveAssignedIssues(user.id, getLimit(args, 50))
+    };
+    
     if (args.json) {
       formatOutput(user, 'json');
       return;
@@ -175,19 +193,18 @@ async function main() {
       });
     }
     
-    // Assigned issues
-    const activeAssignedIssues = user.assignedIssues.nodes.filter(i => 
-      i.state.name !== 'Done' && i.state.name !== 'Canceled'
-    );
+    // Assigned issues (show everything fetched when --all or --limit is given)
+    const activeAssignedIssues = user.assignedIssues.nodes;
+    const shownCount = args.all || args.limit ? activeAssignedIssues.length : 10;
     
     if (activeAssignedIssues.length > 0) {
       console.log('\nActive Assigned Issues:');
-      activeAssignedIssues.slice(0, 10).forEach(issue => {
+      activeAssignedIssues.slice(0, shownCount).forEach(issue => {
         console.log(`  📋 ${issue.identifier} - ${issue.title} (${issue.state.name})`);
       });
       
-      if (activeAssignedIssues.length > 10) {
-        console.log(`  ... and ${activeAssignedIssues.length - 10} more`);
+      if (activeAssignedIssues.length > shownCount) {
+        console.log(`  ... and ${activeAssignedIssues.length - shownCount} more`);
       }
     }
     
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * List Linear custom views and run their saved filters
+ *
+ * Usage:
+ *   ./views.js                               # Custom views visible to you
+ *   ./views.js --favorites                   # Only views you have favorited
+ *   ./views.js run "My open P1s"             # Issues matching the view's filter
+ *   ./views.js run "Release blockers" --all  # Fetch all matching issues (default: 20)
+ *   ./views.js run "Release blockers" 'assignee:me'  # Narrow the view with extra filters
+ *   ./views.js run "My open P1s" --search "login"    # Or with text search
+ *   ./views.js run "My open P1s" --csv       # CSV output (--json for JSON)
+ */
+
+import { paginate, getLimit, buildIssueFilter, parseArgs, formatOutput, printIssueList, ISSUE_LIST_FIELDS } from './linear-api.js';
+
+async function getCustomViews() {
+  const query = `
+    query GetCustomViews($first: Int!, $after: String) {
+      customViews(first: $first, after: $after) {
+        nodes {
+          id
+          name
+          description
+          modelName
+          shared
+          filterData
+          updatedAt
+          team {
+            key
+            name
+          }
+          creator {
+            name
+            email
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  return paginate(query, {}, data => data.customViews);
+}
+
+async function getFavoriteViewIds() {
+  const query = `
+    query GetFavorites($first: Int!, $after: String) {
+      favorites(first: $first, after: $after) {
+        nodes {
+          type
+          customView {
+            id
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const favorites = await paginate(query, {}, data => data.favorites);
+  return new Set(favorites.filter(f => f.customView).map(f => f.customView.id));
+}
+
+/**
+ * Find a view by ID, exact name (case-insensitive) or unique name fragment
+ */
+function findView(views, nameOrId) {
+  const needle = nameOrId.toLowerCase();
+  const exact = views.find(v => v.id === nameOrId || v.name.toLowerCase() === needle);
+  if (exact) return exact;
+
+  const partial = views.filter(v => v.name.toLowerCase().includes(needle));
+  if (partial.length === 1) return partial[0];
+  if (partial.length > 1) {
+    throw new Error(`'${nameOrId}' matches several views: ${partial.map(v => v.name).join(', ')}`);
+  }
+  throw new Error(`View '${nameOrId}' not found. Available views: ${views.map(v => v.name).join(', ') || 'none'}`);
+}
+
+async function runView(view, args) {
+  if (view.modelName && view.modelName !== 'Issue') {
+    throw new Error(`'${view.name}' is a ${view.modelName.toLowerCase()} view; only issue views can be run`);
+  }
+
+  // The view's own filter is applied by Linear; flags, query text and --search narrow it further.
+  // customView.issues has no search argument, so --search becomes a content filter like free query text.
+  const filters = [buildIssueFilter(args)].filter(Boolean);
+  if (typeof args.search === 'string') {
+    filters.push({ searchableContent: { contains: args.search } });
+  } else if (args.search) {
+    throw new Error('--search needs text, e.g. --search "login"');
+  }
+  const filter = filters.length > 1 ? { and: filters } : filters[0] || null;
+  const query = `
+    query RunCustomView($viewId: String!, $first: Int!, $after: String, $filter: IssueFilter) {
+      customView(id: $viewId) {
+        issues(first: $first, after: $after, filter: $filter) {
+          nodes {
+            ${ISSUE_LIST_FIELDS.trim()}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  return paginate(query, { viewId: view.id, filter }, data => data.customView.issues, {
+    limit: getLimit(args, 20),
+    pageSize: 50
+  });
+}
+
+function printViews(views, favoriteIds) {
+  console.log(`Found ${views.length} views:\n`);
+
+  views.forEach(view => {
+    const scope = view.team ? `${view.team.key} (${view.team.name})` : 'Workspace';
+    const flags = [view.shared ? 'shared' : 'personal'];
+    if (view.modelName && view.modelName !== 'Issue') flags.push(`${view.modelName.toLowerCase()}s`);
+
+    console.log(`${favoriteIds.has(view.id) ? '⭐' : '🔖'} ${view.name} [${flags.join(', ')}]`);
+    console.log(`   Team: ${scope} | Creator: ${view.creator?.name || 'Unknown'}`);
+    if (view.description) {
+      console.log(`   ${view.description}`);
+    }
+    console.log(`   ID: ${view.id}`);
+    console.log('');
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, viewName, ...rest] = args._positional || [];
+
+  try {
+    if (command === 'run') {
+      if (!viewName) {
+        console.error('Usage: ./views.js run "<view name>" [filters] [--limit N | --all] [--json | --csv]');
+        process.exit(1);
+      }
+
+      const view = findView(await getCustomViews(), viewName);
+      const issues = await runView(view, { ...args, _positional: rest });
+      printIssueList(issues, args, `Found ${issues.length} issues in view "${view.name}"`);
+      return;
+    }
+
+    if (command) {
+      console.error(`Unknown command '${command}'. Use ./views.js or ./views.js run "<view name>"`);
+      process.exit(1);
+    }
+
+    const [views, favoriteIds] = await Promise.all([getCustomViews(), getFavoriteViewIds()]);
+    const listed = (args.favorites ? views.filter(v => favoriteIds.has(v.id)) : views)
+      .sort((a, b) => Number(favoriteIds.has(b.id)) - Number(favoriteIds.has(a.id)) || a.name.localeCompare(b.name));
+
+    if (args.json) {
+      formatOutput(listed.map(v => ({ ...v, favorite: favoriteIds.has(v.id) })), 'json');
+      return;
+    }
+
+    printViews(listed, favoriteIds);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
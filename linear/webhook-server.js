@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+
+/**
+ * Receive Linear webhooks locally, verify them and print or act on them
+ *
+ * Verifies the Linear-Signature HMAC, normalizes Issue, Comment and Project events and
+ * prints them as NDJSON or runs shell hooks configured per event (see .linear/hooks.json).
+ *
+ * Usage:
+ *   ./webhook-server.js --secret WEBHOOK_SECRET          # Listen on 127.0.0.1:3000, print NDJSON
+ *   ./webhook-server.js --port 8080 --host 0.0.0.0       # Listen elsewhere
+ *   ./webhook-server.js --hooks .linear/hooks.json       # Run shell hooks per event
+ *   ./webhook-server.js --replay payloads.ndjson         # Process recorded payloads, no server
+ *   ./webhook-server.js --max-age 0                      # Accept old (recorded) payloads over HTTP
+ *
+ * The secret defaults to LINEAR_WEBHOOK_SECRET.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+
+const EVENT_TYPES = ['Issue', 'Comment', 'Project'];
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_HOOKS_FILE = '.linear/hooks.json';
+const DEFAULT_HOOK_TIMEOUT_SECONDS = 600;
+
+// Bookkeeping fields that change on every update and never interest a hook
+const IGNORED_CHANGES = ['updatedAt', 'sortOrder', 'boardOrder', 'subIssueSortOrder', 'prioritySortOrder'];
+
+/**
+ * Parse `--flag value` and bare `--flag` arguments like linear-api.js's parseArgs.
+ * Kept local because linear-api.js requires LINEAR_API_KEY on import, and the server and
+ * --replay never call the API.
+ */
+function parseArgs(argv) {
+  const result = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      result[argv[i].slice(2)] = true;
+    } else {
+      result[argv[i].slice(2)] = next;
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Check the Linear-Signature header: hex HMAC-SHA256 of the raw body
+ */
+function verifySignature(rawBody, signature, secret) {
+  if (!signature) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function describeChanges(data, updatedFrom = {}) {
+  const changes = {};
+
+  for (const [key, previous] of Object.entries(updatedFrom)) {
+    if (IGNORED_CHANGES.includes(key)) continue;
+
+    if (key === 'stateId') {
+      changes.state = { from: previous, to: data.state?.name ?? data.stateId };
+    } else if (key === 'assigneeId') {
+      changes.assignee = { from: previous, to: data.assignee?.name ?? data.assigneeId ?? null };
+    } else if (key === 'labelIds') {
+      changes.labels = { from: previous, to: (data.labels || []).map(l => l.name) };
+    } else if (key === 'projectId') {
+      changes.project = { from: previous, to: data.project?.name ?? data.projectId ?? null };
+    } else {
+      changes[key] = { from: previous, to: data[key] ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Turn a Linear webhook payload into a flat event
+ * @param {object} payload - Webhook body ({ action, type, data, updatedFrom, actor, ... })
+ * @returns {object|null} - Normalized event, or null for types we don't handle
+ */
+function normalizeEvent(payload) {
+  if (!EVENT_TYPES.includes(payload.type)) {
+    return null;
+  }
+
+  const { type, action, data = {} } = payload;
+  const event = {
+    event: `${type.toLowerCase()}.${action}`,
+    type,
+    action,
+    id: data.id,
+    url: payload.url || data.url || null,
+    createdAt: payload.createdAt,
+    actor: payload.actor ? { id: payload.actor.id, name: payload.actor.name, type: payload.actor.type } : null
+  };
+
+  if (type === 'Issue') {
+    Object.assign(event, {
+      identifier: data.identifier,
+      title: data.title,
+      team: data.team?.key ?? null,
+      state: data.state?.name ?? null,
+      stateType: data.state?.type ?? null,
+      assignee: data.assignee?.name ?? null,
+      priority: data.priority,
+      labels: (data.labels || []).map(l => l.name),
+      project: data.project?.name ?? null
+    });
+  } else if (type === 'Comment') {
+    Object.assign(event, {
+      identifier: data.issue?.identifier ?? null,
+      title: data.issue?.title ?? null,
+      issueId: data.issueId ?? data.issue?.id ?? null,
+      user: data.user?.name ?? null,
+      body: data.body
+    });
+  } else if (type === 'Project') {
+    Object.assign(event, {
+      name: data.name,
+      state: data.state ?? null,
+      lead: data.lead?.name ?? null,
+      targetDate: data.targetDate ?? null
+    });
+  }
+
+  event.changes = action === 'update' ? describeChanges(data, payload.updatedFrom) : {};
+  event.data = data;
+  return event;
+}
+
+/**
+ * Load hooks: [{ event, when, run, timeout }]
+ * `event` is an event name (issue.update), a type wildcard (issue.*) or *.
+ * `when` maps event fields to required values (case-insensitive, arrays match any);
+ * `changed` lists fields that must have changed in an update.
+ */
+function loadHooks(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Hooks file not found: ${file}`);
+    return [];
+  }
+
+  let hooks;
+  try {
+    hooks = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(hooks)) {
+    throw new Error(`${file} must contain an array of hooks`);
+  }
+
+  hooks.forEach((hook, index) => {
+    if (!hook.event || !hook.run) {
+      throw new Error(`Hook ${index + 1} in ${file} needs "event" and "run"`);
+    }
+  });
+  return hooks;
+}
+
+function hookMatches(hook, event) {
+  const [type] = event.event.split('.');
+  if (hook.event !== '*' && hook.event !== event.event && hook.event !== `${type}.*`) {
+    return false;
+  }
+
+  const matchesValue = (actual, expected) => {
+    const wanted = (Array.isArray(expected) ? expected : [expected]).map(v => String(v).toLowerCase());
+    const values = Array.isArray(actual) ? actual : [actual];
+    return values.some(v => v !== null && v !== undefined && wanted.includes(String(v).toLowerCase()));
+  };
+
+  return Object.entries(hook.when || {}).every(([field, expected]) => {
+    if (field === 'changed') {
+      return matchesValue(Object.keys(event.changes), expected);
+    }
+    return matchesValue(event[field], expected);
+  });
+}
+
+/**
+ * Run a hook with the event as JSON on stdin and its main fields as LINEAR_* variables
+ */
+function runHook(hook, event) {
+  return new Promise(resolve => {
+    const env = {
+      ...process.env,
+      LINEAR_EVENT: event.event,
+      LINEAR_TYPE: event.type,
+      LINEAR_ACTION: event.action,
+      LINEAR_ID: event.id || '',
+      LINEAR_ISSUE_IDENTIFIER: event.identifier || '',
+      LINEAR_TITLE: event.title || event.name || '',
+      LINEAR_STATE: event.state || '',
+      LINEAR_URL: event.url || '',
+      LINEAR_ACTOR: event.actor?.name || ''
+    };
+
+    // Hook output goes to stderr so stdout stays clean NDJSON
+    const child = spawn('sh', ['-c', hook.run], { env, stdio: ['pipe', 2, 2] });
+    const timeoutSeconds = hook.timeout || DEFAULT_HOOK_TIMEOUT_SECONDS;
+    const timer = setTimeout(() => {
+      console.error(`⏱️  Hook for ${event.event} timed out after ${timeoutSeconds}s: ${hook.run}`);
+      child.kill('SIGTERM');
+    }, timeoutSeconds * 1000);
+
+    child.stdin.on('error', () => {
+      // The hook doesn't read stdin
+    });
+    child.stdin.end(JSON.stringify(event) + '\n');
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      console.error(`❌ Hook for ${event.event} failed to start: ${error.message}`);
+      resolve(false);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      const label = `${event.identifier || event.name || event.id} (${event.event})`;
+      if (code === 0) {
+        console.error(`✅ Hook ran for ${label}: ${hook.run}`);
+      } else {
+        console.error(`❌ Hook exited with ${code ?? 'a signal'} for ${label}: ${hook.run}`);
+      }
+      resolve(code === 0);
+    });
+  });
+}
+
+/**
+ * Create the event pipeline: print NDJSON and/or queue matching hooks
+ * Hooks run one at a time in arrival order so a slow hook never races the next event.
+ */
+function createDispatcher({ hooks, printEvents }) {
+  let queue = Promise.resolve();
+  let failures = 0;
+
+  const dispatch = payload => {
+    const event = normalizeEvent(payload);
+    if (!event) {
+      console.error(`Ignoring ${payload.type || 'unknown'} event`);
+      return;
+    }
+
+    if (printEvents) {
+      process.stdout.write(JSON.stringify(event) + '\n');
+    }
+
+    hooks.filter(hook => hookMatches(hook, event)).forEach(hook => {
+      queue = queue.then(async () => {
+        if (!await runHook(hook, event)) failures++;
+      });
+    });
+  };
+
+  // Resolves with the number of failed hooks once the queue is empty
+  return { dispatch, drain: () => queue.then(() => failures) };
+}
+
+/**
+ * Parse recorded payloads: a JSON object, a JSON array or NDJSON
+ */
+function readRecordedPayloads(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (!text) return [];
+
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    return text.split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (lineError) {
+        throw new Error(`Invalid JSON on line ${index + 1} of ${file}: ${lineError.message}`);
+      }
+    });
+  }
+}
+
+function startServer({ host, port, secret, maxAgeSeconds, dispatch }) {
+  const seenDeliveries = new Set();
+
+  const server = http.createServer((req, res) => {
+    const reply = (status, message) => {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(message + '\n');
+    };
+
+    if (req.method === 'GET' && req.url === '/health') {
+      reply(200, 'ok');
+      return;
+    }
+    if (req.method !== 'POST') {
+      reply(405, 'Method not allowed');
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reply(413, 'Payload too large');
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (res.writableEnded) return;
+      const rawBody = Buffer.concat(chunks);
+
+      if (secret && !verifySignature(rawBody, req.headers['linear-signature'], secret)) {
+        console.error('❌ Rejected webhook with invalid signature');
+        reply(401, 'Invalid signature');
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch (error) {
+        reply(400, 'Invalid JSON');
+        return;
+      }
+
+      // Guard against replayed deliveries; Linear signs webhookTimestamp (ms) into the body
+      if (maxAgeSeconds > 0 && !(Math.abs(Date.now() - payload.webhookTimestamp) <= maxAgeSeconds * 1000)) {
+        console.error(`❌ Rejected webhook older than ${maxAgeSeconds}s (use --max-age 0 for recorded payloads)`);
+        reply(401, 'Stale webhook');
+        return;
+      }
+
+      // Linear retries deliveries that time out; handle each one once
+      const deliveryId = req.headers['linear-delivery'];
+      if (deliveryId) {
+        if (seenDeliveries.has(deliveryId)) {
+          reply(200, 'Duplicate delivery');
+          return;
+        }
+        seenDeliveries.add(deliveryId);
+        if (seenDeliveries.size > 1000) {
+          seenDeliveries.delete(seenDeliveries.values().next().value);
+        }
+      }
+
+      // Answer right away: Linear expects a quick 200 and hooks may take minutes
+      reply(200, 'ok');
+      dispatch(payload);
+    });
+  });
+
+  server.listen(port, host, () => {
+    console.error(`🔄 Listening for Linear webhooks on http://${host}:${port}${secret ? '' : ' (signatures NOT verified)'}`);
+  });
+  server.on('error', error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    server.close();
+    process.exit(0);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const hooksFile = typeof args.hooks === 'string' ? args.hooks : DEFAULT_HOOKS_FILE;
+    const hooks = loadHooks(hooksFile, typeof args.hooks === 'string');
+    const printEvents = hooks.length === 0 || Boolean(args.ndjson);
+    if (hooks.length > 0) {
+      console.error(`Loaded ${hooks.length} hook${hooks.length === 1 ? '' : 's'} from ${hooksFile}`);
+    }
+
+    const { dispatch, drain } = createDispatcher({ hooks, printEvents });
+
+    if (args.replay) {
+      if (typeof args.replay !== 'string') {
+        throw new Error('--replay requires a file of recorded payloads');
+      }
+      readRecordedPayloads(args.replay).forEach(dispatch);
+      const failures = await drain();
+      if (failures > 0) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    const secret = typeof args.secret === 'string' ? args.secret : process.env.LINEAR_WEBHOOK_SECRET;
+    if (!secret && !args.insecure) {
+      throw new Error('A webhook secret is required: pass --secret or set LINEAR_WEBHOOK_SECRET (or --insecure to skip verification)');
+    }
+
+    const port = args.port !== undefined ? parseInt(args.port) : 3000;
+    if (isNaN(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid --port '${args.port}'`);
+    }
+    const maxAgeSeconds = args['max-age'] !== undefined ? parseInt(args['max-age']) : 60;
+    if (isNaN(maxAgeSeconds) || maxAgeSeconds < 0) {
+      throw new Error(`Invalid --max-age '${args['max-age']}'. Use seconds, or 0 to disable`);
+    }
+
+    startServer({
+      host: typeof args.host === 'string' ? args.host : '127.0.0.1',
+      port,
+      secret: args.insecure ? null : secret,
+      maxAgeSeconds,
+      dispatch
+    });
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();